@@ -0,0 +1,232 @@
+// ============================================================
+// autopilot.js — AI gardener that plays the game by itself
+// ============================================================
+//
+// An autopilot is a headless strategy (see headless.js) built around a
+// personality. Once a day it looks at the plant's deficits and picks an
+// action, root type or placement; every choice goes through dispatchInput()
+// so autopiloted runs replay exactly, and each change of plan is written to
+// the journal with the reason behind it — recorded as a short code and the
+// numbers it turned on, worded by the 'autopilot' event (see events.js).
+
+import { dispatchInput, INPUT } from './inputs.js';
+import { computePlacementCandidates } from './gameState.js';
+
+const DECIDE_EVERY = 10;   // ticks — once a game day
+
+// Below these the plant rests: growth costs water, energy and nutrients,
+// and it starts losing health once any of them runs out
+const WATER_REST    = 15;
+const ENERGY_REST   = 15;
+const NUTRIENT_REST = 12;
+
+// Roots breathe O₂ and only leaves make it, so roots grow only while the
+// leaves make comfortably more than the roots take, and below O2_LOW the
+// plant grows leaves. The seed feeds the plant until it has 5 leaf mass;
+// past that the canopy must pay for the whole plant, so leaves stop short
+// of it until photosynthesis covers respiration.
+const O2_LOW     = 35;
+const O2_MARGIN  = 2;
+const SEED_LEAF  = 4.5;
+
+// Placement costs from commitPlacement (nutrient: the largest of N/P/K), so
+// a personality can keep a reserve and no placement takes the plant below a rest
+const PLACE_COST = {
+  trunk: { energy: 12, water: 6, nutrient: 6 },
+  leaf:  { energy: 8,  water: 5, nutrient: 3 },
+};
+
+// Thresholds each personality reacts to (resources are 0–100)
+export const PERSONALITIES = {
+  cautious: {
+    name: 'Cautious',
+    desc: 'Keeps large water and nutrient buffers and over-anchors before growing up.',
+    waterLow:       40,
+    nutrientLow:    20,
+    energySurplus:  75,
+    reserve:        45,   // energy kept back after a placement
+    anchorMargin:   12,   // extra anchor score demanded beyond the trunk's needs
+    leafTarget:     40,
+    flowerEnergy:   0,
+  },
+  greedy: {
+    name: 'Greedy',
+    desc: 'Runs resources low and spends every surplus on height and leaves.',
+    waterLow:       15,
+    nutrientLow:    8,
+    energySurplus:  35,
+    reserve:        12,
+    anchorMargin:   0,
+    leafTarget:     70,
+    flowerEnergy:   0,
+  },
+  seeds: {
+    name: 'Seed-maximiser',
+    desc: 'Builds just enough leaf for flowering, then saves energy for flowers and seed.',
+    waterLow:       25,
+    nutrientLow:    15,
+    energySurplus:  55,
+    reserve:        30,
+    anchorMargin:   4,
+    leafTarget:     30,   // flowering needs 25
+    flowerEnergy:   60,   // rest instead of growing while below this in flowering season
+  },
+};
+
+/**
+ * A strategy object driven by one of PERSONALITIES. Usable with runGame()
+ * or ticked by the live game loop before each simulateTick().
+ */
+export function createAutopilot(personalityId) {
+  const personality = PERSONALITIES[personalityId];
+  if (!personality) throw new Error(`Unknown autopilot personality "${personalityId}".`);
+
+  let lastPlan = null;
+  let leaf     = { mass: 0, step: 0 };   // leaf mass a tick ago, and the last tick's leaf growth
+  return {
+    name:        `autopilot-${personalityId}`,
+    description: `Autopilot (${personality.name}): ${personality.desc}`,
+    personality: personalityId,
+
+    setup() {
+      lastPlan = null;
+      leaf     = { mass: 0, step: 0 };
+    },
+
+    tick(gs) {
+      if (gs.lifeComplete) return;
+      const { leafMass } = gs.plant;
+      if (gs.activeAction === 'leaves' && leafMass > leaf.mass) leaf.step = leafMass - leaf.mass;
+      leaf.mass = leafMass;
+
+      // Between decisions, stop growth on the tick it runs into a limit
+      if (gs.tick % DECIDE_EVERY !== 0) {
+        if (gs.activeAction && _mustStop(gs, leaf.step)) dispatchInput(gs, INPUT.ACTION, null);
+        return;
+      }
+      const decision = decide(gs, personality, leaf.step);
+
+      // Only explain changes of plan — a placement is always a new one
+      const plan = decision.place ?? `${decision.action}|${decision.rootType ?? ''}`;
+      if (plan !== lastPlan || decision.place) {
+        dispatchInput(gs, INPUT.AUTOPILOT, { personality: personalityId, reason: decision.reason, ...decision.data });
+      }
+      lastPlan = plan;
+
+      if (decision.place) {
+        const spots = computePlacementCandidates(gs, decision.place);
+        const spot  = decision.place === 'trunk'
+          ? spots.find(c => c.label.includes('Straight')) ?? spots[0]
+          : spots[spots.length - 1];
+        if (dispatchInput(gs, INPUT.PLACE_MODE, decision.place)) dispatchInput(gs, INPUT.PLACE, spot.id);
+        return;
+      }
+      if (decision.rootType && gs.rootType !== decision.rootType) {
+        dispatchInput(gs, INPUT.ROOT_TYPE, decision.rootType);
+      }
+      if (gs.activeAction !== decision.action) dispatchInput(gs, INPUT.ACTION, decision.action);
+    },
+  };
+}
+
+/**
+ * What a personality would do now: { action, rootType?, place?, reason, data }.
+ * `place` ('trunk' | 'leaf') means commit a placement instead of growing;
+ * `reason` is a code from the 'autopilot' event's wording, `data` its numbers.
+ * `leafStep` is how much leaf mass a tick of leaf growth last added.
+ */
+export function decide(gs, p, leafStep = 0) {
+  const { plant } = gs;
+  const r = Math.round;
+  const o2Spare = _o2Spare(gs);
+  const rest  = (reason, data) => ({ action: null, reason, data });
+  const roots = (rootType, reason, data) => o2Spare
+    ? { action: 'roots', rootType, reason, data }
+    : rest('o2Roots', { o2: r(gs.o2) });
+
+  // Growing costs water, and a tap root short of the water table cannot
+  // pay it back — let the soil refill first
+  if (gs.water < WATER_REST) {
+    return rest('waterRest', { water: r(gs.water), limit: WATER_REST });
+  }
+  if (gs.energy < ENERGY_REST) {
+    return rest('energyRest', { energy: r(gs.energy), limit: ENERGY_REST });
+  }
+  const nutrient = Math.min(gs.nitrogen, gs.phosphorus, gs.potassium);
+  if (nutrient < NUTRIENT_REST) {
+    return rest('nutrientRest', { nutrient: r(nutrient), limit: NUTRIENT_REST });
+  }
+  const leafRoom = gs.unlocked.leaves && (plant.leafMass + leafStep < SEED_LEAF || _canopyPays(gs));
+  if (gs.o2 < O2_LOW && gs.unlocked.leaves) {
+    return leafRoom ? { action: 'leaves', reason: 'o2Low', data: { o2: r(gs.o2), limit: O2_LOW } }
+                    : rest('o2Roots', { o2: r(gs.o2) });
+  }
+  if (gs.water < p.waterLow) {
+    return roots('taproot', 'waterLow', { water: r(gs.water), limit: p.waterLow });
+  }
+  if (nutrient < p.nutrientLow) {
+    return roots('surface', 'nutrientLow', { nutrient: r(nutrient), limit: p.nutrientLow });
+  }
+
+  const anchor = plant.rootStructural + plant.rootDepth * 0.5 + plant.rootSpread * 0.3;
+  if (!gs.unlocked.trunk) {
+    return roots('structural', 'trunkLocked', { anchor: Math.min(8, r(anchor)) });
+  }
+
+  // The first leaves cost the seed's energy, not the canopy's
+  if (leafRoom && plant.leafMass + leafStep < SEED_LEAF) {
+    return { action: 'leaves', reason: 'seedLeaves', data: {} };
+  }
+
+  const floweringSeason = gs.seed.floweringSeason === -1 || gs.seed.floweringSeason === gs.season;
+  if (p.flowerEnergy && floweringSeason && plant.leafMass >= 25 && !plant.pollinated && gs.energy < p.flowerEnergy) {
+    return { action: null, reason: 'flowerRest', data: { energy: r(gs.energy), limit: p.flowerEnergy } };
+  }
+
+  // Spend surplus energy on new nodes, leaves first while under the leaf target
+  // A placed leaf cluster is a big step: only once the canopy pays its way
+  if (gs.energy > p.energySurplus && plant.nodes.length > 0) {
+    const order = plant.leafMass < p.leafTarget ? ['leaf', 'trunk'] : ['trunk', 'leaf'];
+    for (const type of order) {
+      const cost = PLACE_COST[type];
+      if (gs.energy - cost.energy < p.reserve) continue;
+      if (gs.water - cost.water < WATER_REST || nutrient - cost.nutrient < NUTRIENT_REST) continue;
+      if (type === 'leaf' && !_canopyPays(gs)) continue;
+      if (!computePlacementCandidates(gs, type).length) continue;
+      return { action: null, place: type, reason: 'place', data: { energy: r(gs.energy), limit: p.energySurplus, kind: type } };
+    }
+  }
+
+  const anchorNeeded = plant.trunkHeight * 0.8 + 8 + p.anchorMargin;
+  if (anchor < anchorNeeded) {
+    return roots('structural', 'anchorLow', { anchor: r(anchor), limit: r(anchorNeeded) });
+  }
+  if (leafRoom && plant.leafMass < p.leafTarget) {
+    return { action: 'leaves', reason: 'leafLow', data: { leafMass: r(plant.leafMass), limit: p.leafTarget } };
+  }
+  if (gs.unlocked.branches && plant.branchLength < plant.trunkHeight) {
+    return { action: 'branches', reason: 'branches', data: {} };
+  }
+  return { action: 'trunk', reason: 'trunk', data: {} };
+}
+
+// Leaves make more O₂ than the roots take, with margin to grow on
+function _o2Spare(gs) {
+  if (!gs.unlocked.leaves) return true;   // roots come first: they unlock the trunk and leaves
+  const o2 = gs.budget.o2;
+  return (o2.photosynthesis ?? 0) > -(o2.rootRespiration ?? 0) * O2_MARGIN;
+}
+
+// Photosynthesis covers respiration without the seed's help
+function _canopyPays(gs) {
+  const energy = gs.budget.energy;
+  return (energy.photosynthesis ?? 0) > -(energy.respiration ?? 0);
+}
+
+function _mustStop(gs, leafStep) {
+  if (gs.water < WATER_REST || gs.energy < ENERGY_REST) return true;
+  if (Math.min(gs.nitrogen, gs.phosphorus, gs.potassium) < NUTRIENT_REST) return true;
+  if (gs.activeAction === 'leaves') return gs.plant.leafMass + leafStep >= SEED_LEAF && !_canopyPays(gs);
+  if (gs.activeAction === 'roots')  return !_o2Spare(gs);
+  return false;
+}
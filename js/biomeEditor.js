@@ -0,0 +1,203 @@
+// ============================================================
+// biomeEditor.js — Custom biome editor dialog
+// ============================================================
+//
+// Custom biomes are stored and shared as content packs by custom.js; this
+// module is the dialog that edits them.
+
+import { BIOMES, SEEDS, SOIL_TYPES } from './data.js';
+import { DEFAULT_SETTINGS } from './systems.js';
+import { createGameState } from './gameState.js';
+import { PlantRenderer, BIOME_SKY } from './renderer.js';
+import { getPath, setPath } from './packs.js';
+import { isCustom, saveCustom, deleteCustom, shareCustomJSON, CustomDialog } from './custom.js';
+
+const SEASONS = ['Spring', 'Summer', 'Autumn', 'Winter'];
+
+// ── Editor dialog ─────────────────────────────────────────
+// Sliders, in form order. `path` may reach into npk and tempRange.
+const SLIDERS = [
+  { path: 'sunlight',         label: '☀️ Sunlight',          min: 0,   max: 1,  step: 0.01 },
+  { path: 'rainfall',         label: '💧 Rainfall',          min: 0,   max: 1,  step: 0.01 },
+  { path: 'groundwaterDepth', label: '🌊 Groundwater depth', min: 1,   max: 5,  step: 1,
+    fmt: v => ['', 'shallow', 'fairly shallow', 'medium', 'deep', 'very deep'][v] },
+  { path: 'soilNutrients',    label: '🪨 Soil nutrients',    min: 0,   max: 1,  step: 0.01 },
+  { path: 'npk.n',            label: 'Nitrogen',             min: 0,   max: 1,  step: 0.01 },
+  { path: 'npk.p',            label: 'Phosphorus',           min: 0,   max: 1,  step: 0.01 },
+  { path: 'npk.k',            label: 'Potassium',            min: 0,   max: 1,  step: 0.01 },
+  { path: 'tempRange.0',      label: '❄️ Coldest (°C)',      min: -30, max: 50, step: 1 },
+  { path: 'tempRange.1',      label: '🔥 Hottest (°C)',      min: -30, max: 50, step: 1 },
+  { path: 'wind',             label: '🌬️ Wind (← / →)',      min: -1,  max: 1,  step: 0.05 },
+  { path: 'fungalNetwork',    label: '🍄 Fungal network',    min: 0,   max: 1,  step: 0.01 },
+];
+
+export class BiomeEditor extends CustomDialog {
+  /**
+   * overlay — the dialog's root element (see #biome-editor in index.html)
+   * hooks   — { onSave(biome, pack), onDelete(id), onShare(text, fileName) }
+   */
+  constructor(overlay, hooks) {
+    super(overlay, hooks, { table: BIOMES, fallback: 'biome', errorList: '#editor-errors' });
+    this.season   = 0;
+    this.renderer = null;
+    this._build();
+  }
+
+  /** Edit an existing custom biome, or start a new one from `base`. */
+  open(biome = null, base = BIOMES.plains) {
+    const source = biome ?? base;
+    this.draft = JSON.parse(JSON.stringify(source));
+    this.draft.sky ??= [...(BIOME_SKY[source.id] ?? ['#1a2e4a', '#2d4a1a'])];
+    if (!biome) {
+      this.draft.id   = null;
+      this.draft.name = `My ${base.name}`;
+      this.draft.icon = '📍';
+      this.draft.desc = `A custom climate based on ${base.name}.`;
+    }
+    this.overlay.style.display = 'flex';
+    this.overlay.querySelector('#editor-base-row').style.display = biome ? 'none' : '';
+    const baseSelect = this.overlay.querySelector('#editor-base');
+    baseSelect.replaceChildren(...Object.values(BIOMES).filter(b => !isCustom(b.id))
+      .map(b => new Option(`${b.icon} ${b.name}`, b.id)));
+    baseSelect.value = base.id;
+    this.overlay.querySelector('#editor-delete').style.display = biome ? '' : 'none';
+    this.overlay.querySelector('#editor-title').textContent = biome ? `Edit ${biome.name}` : 'Custom Biome';
+    this._showErrors([]);
+    this._fill();
+
+    if (!this.renderer) this.renderer = new PlantRenderer(this.overlay.querySelector('#editor-preview'));
+    this._preview();
+  }
+
+  _build() {
+    const $ = sel => this.overlay.querySelector(sel);
+
+    // Starting point for new biomes (options filled on open, packs may add some)
+    const base = $('#editor-base');
+    base.addEventListener('change', () => this.open(null, BIOMES[base.value]));
+
+    const sliders = $('#editor-sliders');
+    sliders.innerHTML = '';
+    SLIDERS.forEach(s => {
+      const row = document.createElement('label');
+      row.className = 'editor-slider';
+      row.innerHTML = `
+        <span class="editor-label">${s.label}</span>
+        <input type="range" min="${s.min}" max="${s.max}" step="${s.step}" data-path="${s.path}">
+        <span class="editor-value"></span>
+      `;
+      row.querySelector('input').addEventListener('input', e => {
+        setPath(this.draft, s.path, Number(e.target.value));
+        this._fillValue(row, s);
+        this._preview();
+      });
+      sliders.appendChild(row);
+    });
+
+    $('#editor-soil').innerHTML = Object.values(SOIL_TYPES).map(t => `<option value="${t.id}">${t.name}</option>`).join('');
+    $('#editor-season').innerHTML = SEASONS.map((name, i) => `<option value="${i}">${name}</option>`).join('');
+    $('#editor-season').addEventListener('change', e => {
+      this.season = Number(e.target.value);
+      this._preview();
+    });
+
+    // Text, select and colour fields write straight into the draft
+    [['#editor-name', 'name'], ['#editor-icon', 'icon'], ['#editor-desc', 'desc']]
+      .forEach(([sel, key]) => $(sel).addEventListener('input', e => { this.draft[key] = e.target.value; }));
+    $('#editor-soil').addEventListener('input', e => {
+      this.draft.soilType = e.target.value;
+      this._preview();
+    });
+    [['#editor-sky-top', 0], ['#editor-sky-bottom', 1]].forEach(([sel, i]) => {
+      $(sel).addEventListener('input', e => {
+        this.draft.sky[i] = e.target.value;
+        this._preview();
+      });
+    });
+
+    $('#editor-save').addEventListener('click', () => this._save());
+    $('#editor-share').addEventListener('click', () => {
+      const biome = this._finalDraft();
+      this.hooks.onShare(shareCustomJSON('biomes', biome), `${biome.id}.plantlife-pack.json`);
+    });
+    $('#editor-delete').addEventListener('click', () => {
+      if (!confirm(`Delete custom biome "${this.draft.name}"?`)) return;
+      deleteCustom('biomes', this.draft.id);
+      this.close();
+      this.hooks.onDelete(this.draft.id);
+    });
+    $('#editor-close').addEventListener('click', () => this.close());
+    this.overlay.addEventListener('click', e => { if (e.target === this.overlay) this.close(); });
+  }
+
+  // Copy the draft into every control
+  _fill() {
+    const $ = sel => this.overlay.querySelector(sel);
+    $('#editor-name').value       = this.draft.name;
+    $('#editor-icon').value       = this.draft.icon;
+    $('#editor-desc').value       = this.draft.desc;
+    $('#editor-soil').value       = this.draft.soilType;
+    $('#editor-sky-top').value    = this.draft.sky[0];
+    $('#editor-sky-bottom').value = this.draft.sky[1];
+    $('#editor-season').value     = this.season;
+
+    this.overlay.querySelectorAll('.editor-slider').forEach((row, i) => {
+      row.querySelector('input').value = getPath(this.draft, SLIDERS[i].path);
+      this._fillValue(row, SLIDERS[i]);
+    });
+
+    // Allowed seeds
+    const seeds = $('#editor-seeds');
+    seeds.innerHTML = '';
+    Object.values(SEEDS).forEach(seed => {
+      const label = document.createElement('label');
+      label.className = 'editor-seed';
+      const box = document.createElement('input');
+      box.type  = 'checkbox';
+      box.value = seed.id;
+      label.append(box, ` ${seed.icon} ${seed.name}`);
+      box.checked = this.draft.seeds.includes(seed.id);
+      box.addEventListener('change', () => {
+        this.draft.seeds = Object.keys(SEEDS).filter(id =>
+          id === seed.id ? box.checked : this.draft.seeds.includes(id));
+      });
+      seeds.appendChild(label);
+    });
+  }
+
+  _fillValue(row, slider) {
+    const v = getPath(this.draft, slider.path);
+    row.querySelector('.editor-value').textContent = slider.fmt ? slider.fmt(v)
+      : slider.step < 1 ? `${Math.round(v * 100)}%` : v;
+  }
+
+  // Sky, sun, clouds and soil texture drawn by the game's own renderer for a
+  // fresh seedling in the draft climate
+  _preview() {
+    const seed = SEEDS[this.draft.seeds[0]] ?? SEEDS.grass;
+    const gs   = createGameState(this._finalDraft(), seed, DEFAULT_SETTINGS, 1);
+    const [lo, hi] = this.draft.tempRange;
+    gs.season = this.season;
+    gs.env = {
+      sunlight:         this.draft.sunlight,
+      rainfall:         this.draft.rainfall,
+      groundwaterDepth: this.draft.groundwaterDepth,
+      soilNutrients:    this.draft.soilNutrients,
+      temperature:      lo + (hi - lo) * [0.3, 0.9, 0.6, 0.05][this.season],
+    };
+    this.renderer.render(gs);
+  }
+
+  _save() {
+    const biome = this._finalDraft();
+    let pack;
+    try {
+      pack = saveCustom('biomes', biome);
+    } catch (err) {
+      this._showErrors(err.errors ?? [err.message]);
+      return;
+    }
+    this.close();
+    this.hooks.onSave(BIOMES[biome.id], pack);
+  }
+}
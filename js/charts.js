@@ -0,0 +1,134 @@
+// ============================================================
+// charts.js — Line charts of the resource history
+// ============================================================
+
+import { HISTORY_METRICS } from './history.js';
+
+const TICKS_PER_DAY = 10;
+
+// Visible window for each zoom level, in days (null = everything recorded)
+export const CHART_ZOOMS = [
+  { id: 'days',   label: '30 d',   days: 30 },
+  { id: 'season', label: 'Season', days: 90 },
+  { id: 'year',   label: 'Year',   days: 360 },
+  { id: 'all',    label: 'All',    days: null },
+];
+
+const WEATHER_SHADE = {
+  1: 'rgba(210,153,34,0.18)',   // drought
+  2: 'rgba(79,195,247,0.18)',   // flood
+  3: 'rgba(160,160,160,0.18)',  // storm
+};
+const HERBIVORE_SHADE = 'rgba(248,81,73,0.7)';
+
+const PAD = { left: 26, right: 26, top: 6, bottom: 16 };
+
+export class HistoryChart {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx    = canvas.getContext('2d');
+  }
+
+  resize() {
+    const rect = this.canvas.getBoundingClientRect();
+    this.canvas.width  = rect.width  || 296;
+    this.canvas.height = rect.height || 150;
+  }
+
+  /**
+   * history — ResourceHistory
+   * metrics — Set of HISTORY_METRICS keys to draw
+   * zoom    — a CHART_ZOOMS id; the window always ends at the latest sample
+   */
+  render(history, metrics, zoom) {
+    this.resize();
+    const { ctx, canvas } = this;
+    const W = canvas.width, H = canvas.height;
+    const plotW = W - PAD.left - PAD.right;
+    const plotH = H - PAD.top - PAD.bottom;
+    ctx.clearRect(0, 0, W, H);
+
+    if (!history.length) {
+      ctx.fillStyle = '#7d8590';
+      ctx.font      = '11px system-ui';
+      ctx.fillText('No history yet — unpause to start recording.', PAD.left, H / 2);
+      return;
+    }
+
+    const days     = CHART_ZOOMS.find(z => z.id === zoom)?.days;
+    const toTick   = history.lastTick;
+    const fromTick = days ? Math.max(history.firstTick, toTick - days * TICKS_PER_DAY) : history.firstTick;
+    const span     = Math.max(1, toTick - fromTick);
+    const points   = history.range(fromTick, toTick, plotW);
+    const xOf      = tick => PAD.left + (tick - fromTick) / span * plotW;
+
+    // Weather bands behind everything, herbivore attacks as a strip on the axis
+    const step = plotW / Math.max(1, points.length);
+    points.forEach(p => {
+      const x = xOf(p.tick);
+      if (p.weather) {
+        ctx.fillStyle = WEATHER_SHADE[p.weather];
+        ctx.fillRect(x, PAD.top, step + 0.5, plotH);
+      }
+      if (p.herbivore) {
+        ctx.fillStyle = HERBIVORE_SHADE;
+        ctx.fillRect(x, PAD.top + plotH - 3, step + 0.5, 3);
+      }
+    });
+
+    this._drawGrid(fromTick, toTick, xOf, plotW, plotH);
+
+    HISTORY_METRICS.forEach(m => {
+      if (!metrics.has(m.key)) return;
+      const [lo, hi] = m.range ?? [0, 100];
+      const yOf = v => PAD.top + plotH - Math.max(0, Math.min(1, (v - lo) / (hi - lo))) * plotH;
+      ctx.strokeStyle = m.col;
+      ctx.lineWidth   = 1.25;
+      ctx.beginPath();
+      points.forEach((p, i) => {
+        const x = xOf(p.tick), y = yOf(p.values[m.key]);
+        if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+      });
+      ctx.stroke();
+    });
+  }
+
+  _drawGrid(fromTick, toTick, xOf, plotW, plotH) {
+    const ctx = this.ctx;
+    ctx.font         = '9px system-ui';
+    ctx.fillStyle    = '#7d8590';
+    ctx.strokeStyle  = '#30363d';
+    ctx.lineWidth    = 1;
+    ctx.textBaseline = 'middle';
+
+    // Value axes: 0–100 on the left, °C on the right
+    [0, 50, 100].forEach(v => {
+      const y = PAD.top + plotH - v / 100 * plotH;
+      ctx.beginPath();
+      ctx.moveTo(PAD.left, y);
+      ctx.lineTo(PAD.left + plotW, y);
+      ctx.stroke();
+      ctx.textAlign = 'right';
+      ctx.fillText(String(v), PAD.left - 4, y);
+    });
+    const temp = HISTORY_METRICS.find(m => m.key === 'temperature').range;
+    ctx.textAlign = 'left';
+    ctx.fillText(`${temp[1]}°`, PAD.left + plotW + 4, PAD.top);
+    ctx.fillText(`${temp[0]}°`, PAD.left + plotW + 4, PAD.top + plotH);
+
+    // Time axis: season boundaries for short windows, years for long ones
+    const spanDays = (toTick - fromTick) / TICKS_PER_DAY;
+    const every    = spanDays > 720 ? 360 : spanDays > 120 ? 90 : spanDays > 40 ? 30 : 10;
+    const firstDay = Math.ceil(fromTick / TICKS_PER_DAY / every) * every;
+    ctx.textAlign    = 'center';
+    ctx.textBaseline = 'top';
+    for (let day = firstDay; day * TICKS_PER_DAY <= toTick; day += every) {
+      const x = xOf(day * TICKS_PER_DAY);
+      ctx.beginPath();
+      ctx.moveTo(x, PAD.top);
+      ctx.lineTo(x, PAD.top + plotH);
+      ctx.stroke();
+      ctx.fillText(every >= 360 ? `Y${day / 360 + 1}` : `D${day + 1}`, x, PAD.top + plotH + 3);
+    }
+  }
+}
@@ -0,0 +1,148 @@
+// ============================================================
+// custom.js — Player-made biomes and species: storage and sharing
+// ============================================================
+//
+// Custom biomes (biomeEditor.js) and species (speciesDesigner.js) are kept
+// in localStorage, one store per pack section, and applied as a content
+// pack, so they are validated and shared exactly like the packs in
+// packs.js. Their ids start with "custom-" so they never replace a
+// built-in entry. CustomDialog is what the two editor dialogs share.
+
+import { BIOMES } from './data.js';
+import { applyPack, PACK_FORMAT, PACK_VERSION, PACK_SCHEMA, CUSTOM_PREFIX } from './packs.js';
+
+// localStorage key per pack section. Seeds come first: a custom biome may
+// list custom seeds.
+const STORAGE_KEYS = {
+  seeds:  'plantlife.customSeeds',
+  biomes: 'plantlife.customBiomes',
+};
+
+const SECTION_NAMES = { seeds: 'Custom species', biomes: 'Custom biomes' };
+
+export function isCustom(id) {
+  return id.startsWith(CUSTOM_PREFIX);
+}
+
+/** Stored entries of one section keyed by id (empty if none or unreadable). */
+export function listCustom(section) {
+  try {
+    const entries = JSON.parse(localStorage.getItem(STORAGE_KEYS[section]) || '{}');
+    return entries && typeof entries === 'object' && !Array.isArray(entries) ? entries : {};
+  } catch {
+    return {};
+  }
+}
+
+function _store(section, entries) {
+  localStorage.setItem(STORAGE_KEYS[section], JSON.stringify(entries));
+}
+
+/** A content pack holding the given sections ({ seeds: {…}, biomes: {…} }). */
+export function customPack(sections, name = 'Custom content') {
+  return { format: PACK_FORMAT, version: PACK_VERSION, name, ...sections };
+}
+
+/**
+ * Apply every stored custom entry at start-up. Returns { pack, errors } —
+ * pack is null when there are none or they no longer validate (for
+ * example a seed a biome lists came from a pack that is not loaded).
+ */
+export function loadCustomContent() {
+  const sections = {};
+  Object.keys(STORAGE_KEYS).forEach(section => {
+    const entries = listCustom(section);
+    if (Object.keys(entries).length) sections[section] = entries;
+  });
+  if (!Object.keys(sections).length) return { pack: null, errors: [] };
+  const pack = customPack(sections);
+  try {
+    applyPack(pack, 'custom content', { record: false });
+    return { pack, errors: [] };
+  } catch (err) {
+    return { pack: null, errors: (err.errors ?? [err.message]).map(e => `custom content → ${e}`) };
+  }
+}
+
+/**
+ * Validate, store and apply one entry. Throws like applyPack() when it is
+ * invalid; returns the one-entry pack that was applied.
+ */
+export function saveCustom(section, entry) {
+  const { id, ...fields } = entry;
+  const pack = customPack({ [section]: { [id]: fields } }, SECTION_NAMES[section]);
+  applyPack(pack, SECTION_NAMES[section], { record: false });
+  _store(section, { ...listCustom(section), [id]: fields });
+  return pack;
+}
+
+/** Remove one entry. A deleted species is also dropped from custom biomes that list it. */
+export function deleteCustom(section, id) {
+  const entries = listCustom(section);
+  delete entries[id];
+  _store(section, entries);
+  delete PACK_SCHEMA[section].table[id];
+
+  if (section !== 'seeds') return;
+  const biomes = listCustom('biomes');
+  Object.entries(biomes).forEach(([biomeId, biome]) => {
+    if (!biome.seeds?.includes(id)) return;
+    biome.seeds = biome.seeds.filter(s => s !== id);
+    if (BIOMES[biomeId]) BIOMES[biomeId].seeds = biome.seeds;
+  });
+  _store('biomes', biomes);
+}
+
+/** Pack JSON for sharing one entry; anyone can import it as a content pack. */
+export function shareCustomJSON(section, entry) {
+  const { id, ...fields } = entry;
+  return JSON.stringify(customPack({ [section]: { [id]: fields } }, entry.name), null, 2);
+}
+
+/** A fresh custom id made from a display name, unique within `table`. */
+export function customId(name, table, fallback) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || fallback;
+  let id = CUSTOM_PREFIX + slug;
+  for (let n = 2; table[id]; n++) id = `${CUSTOM_PREFIX}${slug}-${n}`;
+  return id;
+}
+
+// ── Editor dialogs ────────────────────────────────────────
+/**
+ * Base of the biome editor and species designer: a draft entry edited in
+ * an overlay, saved under a fresh custom id unless it already has one.
+ *   table     — BIOMES or SEEDS, for new ids
+ *   fallback  — id slug when the name gives none
+ *   errorList — selector of the dialog's problem list
+ */
+export class CustomDialog {
+  constructor(overlay, hooks, { table, fallback, errorList }) {
+    this.overlay = overlay;
+    this.hooks   = hooks;
+    this.draft   = null;
+    this._table     = table;
+    this._fallback  = fallback;
+    this._errorList = errorList;
+  }
+
+  close() {
+    this.overlay.style.display = 'none';
+  }
+
+  // The draft with an id: kept when editing, otherwise made from the name
+  _finalDraft() {
+    if (this.draft.id) return this.draft;
+    return { ...this.draft, id: customId(this.draft.name, this._table, this._fallback) };
+  }
+
+  _showErrors(errors) {
+    const list = this.overlay.querySelector(this._errorList);
+    list.innerHTML = '';
+    list.style.display = errors.length ? 'block' : 'none';
+    errors.forEach(msg => {
+      const li = document.createElement('li');
+      li.textContent = msg;
+      list.appendChild(li);
+    });
+  }
+}
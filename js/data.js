@@ -471,50 +471,85 @@ export const SEEDS = {
 export const RESOURCE_MAX = 100;
 export const TICK_MS_BASE = 1000; // 1 real second = 1 game tick at speed ×1
 
+// `pattern` is the growth the type drives: taproot deepens, structural
+// anchors, surface spreads (content packs add types reusing one of these)
 export const ROOT_TYPES = {
   taproot: {
-    id: 'taproot', name: 'Tap Root',
+    id: 'taproot', pattern: 'taproot', name: 'Tap Root',
     desc: 'Drills deep to reach groundwater. Best for drought resistance.',
     icon: '⬇️',
     waterBonus: 1.8, nutrientBonus: 0.6, structuralBonus: 0.5,
   },
   structural: {
-    id: 'structural', name: 'Structural Root',
+    id: 'structural', pattern: 'structural', name: 'Structural Root',
     desc: 'Anchors the plant. Allows bigger trunk and branches.',
     icon: '↔️',
     waterBonus: 0.5, nutrientBonus: 0.7, structuralBonus: 2.0,
   },
   surface: {
-    id: 'surface', name: 'Surface Root',
+    id: 'surface', pattern: 'surface', name: 'Surface Root',
     desc: 'Spreads wide to catch rainwater and gather nutrients.',
     icon: '🌐',
     waterBonus: 1.2, nutrientBonus: 1.4, structuralBonus: 0.8,
   },
 };
 
-// ── Biology simulation feature flags ─────────────────────
-export const DEFAULT_SETTINGS = {
-  stomatalRegulation: true,   // Phase 1.1: stomata open/close with water stress
-  npkNutrients:       true,   // Phase 1.2: N/P/K split instead of single nutrients
-  hydraulicFailure:   true,   // Phase 1.3: xylem cavitation under drought
-  tempOptima:         true,   // Phase 1.4: bell-curve temperature efficiency
-  flowering:          true,   // Phase 2.1: flowering and pollination
-  lifeCycles:         true,   // Phase 2.3: annual death / perennial dormancy
-  cambiumGrowth:      true,   // Phase 2.4: secondary thickening growth rings
-  mycorrhizae:        true,   // Phase 3.1: fungal symbiosis
-  herbivory:     true,   // Phase 3.2: insects and grazers damage leaves/trunk
-  weatherEvents: true,   // Phase 3.3: drought, flood, and storm events
+// Soil textures, referenced by each biome's `soilType`. Loam is the
+// reference (every factor 1 / 0):
+//   waterHolding — rain the soil keeps within reach of surface roots
+//   drainage     — how freely water moves down to the water table and away
+//                  after floods (taproot supply; low = waterlogging)
+//   leaching     — nutrients washed out per unit of rainfall (negative:
+//                  clays hold on to them better than loam)
+//   penetration  — resistance to root growth (higher is slower)
+//   stoniness    — share of the soil grid's cells that are rock (see soilGrid.js)
+//   colors       — [topsoil, subsoil, bedrock] for the renderer
+//   grain        — texture drawn over the layers: 'crumb', 'sand', 'clay', 'stones'
+export const SOIL_TYPES = {
+  loam: {
+    id: 'loam', name: 'Loam',
+    waterHolding: 1.0, drainage: 1.0, leaching: 0.0, penetration: 1.0, stoniness: 0.02,
+    colors: ['#3d2810', '#2a1a08', '#0f0a03'], grain: 'crumb',
+  },
+  'clay-loam': {
+    id: 'clay-loam', name: 'Clay loam',
+    waterHolding: 1.15, drainage: 0.8, leaching: -0.05, penetration: 1.2, stoniness: 0.03,
+    colors: ['#43291a', '#33200f', '#140c05'], grain: 'crumb',
+  },
+  clay: {
+    id: 'clay', name: 'Clay',
+    waterHolding: 1.3, drainage: 0.5, leaching: -0.1, penetration: 1.3, stoniness: 0.02,
+    colors: ['#4a3020', '#5a3a22', '#1c1008'], grain: 'clay',
+  },
+  sand: {
+    id: 'sand', name: 'Sand',
+    waterHolding: 0.6, drainage: 1.6, leaching: 0.5, penetration: 0.8, stoniness: 0.01,
+    colors: ['#8a6a3a', '#6e5430', '#2a1e10'], grain: 'sand',
+  },
+  rocky: {
+    id: 'rocky', name: 'Rocky',
+    waterHolding: 0.8, drainage: 1.3, leaching: 0.3, penetration: 1.2, stoniness: 0.10,
+    colors: ['#3a3228', '#2a241c', '#14120e'], grain: 'stones',
+  },
+};
+
+// Soil water layers, top down. Topsoil and subsoil are buckets holding up
+// to `capacity` water units (× the soil's waterHolding); groundwater is the
+// water table at env.groundwaterDepth and never runs dry. `bottom` is where
+// the topsoil ends, in root-graph px below the ground.
+export const SOIL_LAYERS = {
+  topsoil:     { id: 'topsoil',     name: 'Topsoil',     icon: '🟫', capacity: 40, bottom: 40 },
+  subsoil:     { id: 'subsoil',     name: 'Subsoil',     icon: '🟤', capacity: 80 },
+  groundwater: { id: 'groundwater', name: 'Groundwater', icon: '🌊' },
 };
 
-export const SETTINGS_META = [
-  { key: 'stomatalRegulation', label: 'Stomatal Regulation',   desc: 'Stomata open/close based on water stress. Affects CO₂ uptake and transpiration.' },
-  { key: 'npkNutrients',       label: 'NPK Nutrients',         desc: 'Nitrogen, Phosphorus and Potassium each have distinct effects on growth.' },
-  { key: 'hydraulicFailure',   label: 'Hydraulic Failure',     desc: 'Severe drought causes xylem cavitation — permanent transport damage.' },
-  { key: 'tempOptima',         label: 'Temperature Optima',    desc: 'Photosynthesis peaks at each plant\'s optimal temperature; extremes cause enzyme failure.' },
-  { key: 'flowering',          label: 'Flowering & Pollination', desc: 'Plants flower seasonally and require pollination to produce seeds.' },
-  { key: 'lifeCycles',         label: 'Life Cycles',           desc: 'Annuals die after seeding; perennials enter winter dormancy.' },
-  { key: 'cambiumGrowth',      label: 'Cambium Growth',        desc: 'Trunk adds growth rings each year; phloem starvation damages roots.' },
-  { key: 'mycorrhizae',        label: 'Mycorrhizal Network',   desc: 'Roots can form fungal symbiosis, trading sugar for enhanced nutrient uptake.' },
-  { key: 'herbivory',     label: 'Herbivory',        desc: 'Insects eat leaves; grazers damage the trunk. Plants can invest in chemical or physical defenses.' },
-  { key: 'weatherEvents', label: 'Weather Events',    desc: 'Random drought, flood and windstorm events challenge the plant beyond normal seasonal cycles.' },
-];
+// How each root growth pattern (see ROOT_TYPES) takes up water: `rate` per
+// unit of the plant's root mass of that pattern (`mass`), from the soil
+// layers in `layers`. Groundwater is reached only once the tap root is long
+// enough (see taprootReach). With soil patches on, roots draw from the
+// cells their segments pass through instead, at the same rates.
+export const ROOT_UPTAKE = {
+  surface:    { mass: 'rootSpread',     rate: 3.0, layers: ['topsoil'] },
+  structural: { mass: 'rootStructural', rate: 0.5, layers: ['subsoil'] },
+  taproot:    { mass: 'rootDepth',      rate: 1.6, layers: ['subsoil', 'groundwater'] },
+};
@@ -0,0 +1,233 @@
+// ============================================================
+// events.js — Typed simulation events and the growth log
+// ============================================================
+//
+// Subsystems report what happened with emit(gs, type, data) instead of
+// writing log text. Every event becomes a journal line (text derived from the
+// EVENT_TYPES table below) and is then handed to any listeners subscribed
+// to that game — the UI log, notifications, tools, achievements.
+//
+//   { type, tick, day, season, subsystem, level, data }
+
+// Autopilot decisions by reason code (see autopilot.js decide()). Runs
+// recorded before the codes carry the sentence itself, shown as it is.
+const AUTOPILOT_REASONS = {
+  waterRest:   ({ water, limit }) => `water ${water} < ${limit}: resting so growth does not drain the last of it.`,
+  energyRest:  ({ energy, limit }) => `energy ${energy} < ${limit}: resting until the seed and leaves build it back up.`,
+  nutrientRest: ({ nutrient, limit }) => `lowest nutrient ${nutrient} < ${limit}: resting so growth does not use up the rest.`,
+  seedLeaves:  () => 'growing the first leaves while the seed still feeds the plant.',
+  o2Low:       ({ o2, limit }) => `O₂ ${o2} < ${limit}: growing leaves to make more.`,
+  o2Roots:     ({ o2 }) => `O₂ ${o2}: the leaves cannot aerate more roots, so the roots rest.`,
+  waterLow:    ({ water, limit }) => `water ${water} < ${limit}: grow taproot toward groundwater.`,
+  nutrientLow: ({ nutrient, limit }) => `lowest nutrient ${nutrient} < ${limit}: spread surface roots.`,
+  trunkLocked: ({ anchor }) => `anchor ${anchor}/8: building structural roots to unlock the trunk.`,
+  flowerRest:  ({ energy, limit }) => `flowering season, energy ${energy} < ${limit}: resting to fund flowers.`,
+  place:       ({ energy, limit, kind }) => `energy ${energy} > ${limit}: placing a ${kind === 'leaf' ? 'leaf cluster' : 'trunk segment'}.`,
+  anchorLow:   ({ anchor, limit }) => `anchor ${anchor} < ${limit} for this trunk: growing structural roots.`,
+  leafLow:     ({ leafMass, limit }) => `leaf mass ${leafMass} < ${limit}: growing leaves for energy.`,
+  branches:    () => 'branches shorter than the trunk: growing branches.',
+  trunk:       () => 'needs met: growing the trunk.',
+};
+
+// level: log/notification styling — 'good' | 'warn' | 'danger' | '', or
+//        level(data) when it depends on the event
+// notify: worth interrupting the player for (see UI notifications)
+// text(data, gs): one log line, or an array of lines
+export const EVENT_TYPES = {
+  // ── Water & gas exchange ──
+  stomataClosed: {
+    subsystem: 'stomata', level: 'danger',
+    text: () => 'Stomata nearly closed — photosynthesis stalled to conserve water.',
+  },
+  stomataPartial: {
+    subsystem: 'stomata', level: '',
+    text: () => 'Stomata partially closed — trading growth for drought survival.',
+  },
+  cavitation: {
+    subsystem: 'hydraulics', level: 'danger',
+    text: () => 'Xylem cavitation — air bubbles block water transport!',
+  },
+  waterTable: {
+    subsystem: 'soil', level: '',
+    text: ({ rising }) => rising
+      ? 'The water table is rising — groundwater is closer to the surface.'
+      : 'The water table is falling — tap roots must reach deeper for groundwater.',
+  },
+
+  // ── Growth & unlocks ──
+  sprout: {
+    subsystem: 'growth', level: 'good', notify: true,
+    text: () => 'A seedling has sprouted — choose where to grow your first trunk segment!',
+  },
+  unlock: {
+    subsystem: 'growth', level: 'good', notify: true,
+    text: ({ part }) => ({
+      trunk:    'Your roots can support a trunk — but keep them growing to match it!',
+      leaves:   'The seedling can grow leaves — balance leaf growth with your roots!',
+      branches: 'The trunk is tall enough to grow branches.',
+    })[part],
+  },
+  anchorProgress: {
+    subsystem: 'growth', level: '',
+    text: ({ score }) => `Roots ${Math.round(score)}/8 anchor strength — almost ready for a trunk.`,
+  },
+  placed: {
+    subsystem: 'player', level: ({ kind }) => kind === 'leaf' ? 'good' : '',
+    text: ({ kind, label }) => kind === 'trunk'
+      ? `Trunk segment placed (${label}).`
+      : `Leaf cluster placed (${label}).`,
+  },
+  placementUndone: {
+    subsystem: 'player', level: '',
+    text: ({ kind }) => `Undid ${kind === 'trunk' ? 'trunk segment' : 'leaf cluster'} placement.`,
+  },
+  placementRedone: {
+    subsystem: 'player', level: '',
+    text: ({ kind }) => `Redid ${kind === 'trunk' ? 'trunk segment' : 'leaf cluster'} placement.`,
+  },
+
+  autopilot: {
+    subsystem: 'autopilot', level: '',
+    text: ({ personality, reason, ...data }) =>
+      `🤖 Autopilot (${personality}): ${AUTOPILOT_REASONS[reason]?.(data) ?? reason}`,
+  },
+
+  // ── Health ──
+  tempStress: {
+    subsystem: 'health', level: 'danger',
+    text: ({ direction }) => `Extreme ${direction} stress — enzymes failing, growth halted.`,
+  },
+  struggling: {
+    subsystem: 'health', level: 'danger',
+    text: () => 'The plant is struggling to survive!',
+  },
+
+  // ── Reproduction & life cycle ──
+  flowered: {
+    subsystem: 'flowering', level: 'good', notify: true,
+    text: (_, gs) => gs.seed.icon + ' The plant has flowered! Awaiting pollination…',
+  },
+  pollinated: {
+    subsystem: 'flowering', level: 'good', notify: true,
+    text: ({ seeds, total }) => 'Pollination successful! ' + seeds + ' seeds produced. (Total: ' + total + ')',
+  },
+  lifeComplete: {
+    subsystem: 'lifecycle', level: 'good', notify: true,
+    text: ({ seeds, days }, gs) => [
+      gs.seed.icon + ' Life cycle complete! ' + seeds + ' seeds produced in ' + days + ' days.',
+      'The annual plant has completed its life. Restart to grow again.',
+    ],
+  },
+  dormancyEnter: {
+    subsystem: 'lifecycle', level: '',
+    text: ({ leavesShed }) => leavesShed
+      ? ['The plant enters winter dormancy — metabolism slows to survive the cold.', 'Leaves shed for winter.']
+      : 'The plant enters winter dormancy — metabolism slows to survive the cold.',
+  },
+  dormancyExit: {
+    subsystem: 'lifecycle', level: 'good',
+    text: () => 'Spring returns — the plant wakes from dormancy with a burst of growth!',
+  },
+  phloemStarvation: {
+    subsystem: 'cambium', level: 'danger',
+    text: () => 'Phloem starvation — roots losing sugar supply from the canopy!',
+  },
+
+  // ── Mycorrhizae ──
+  mycorrhizae: {
+    subsystem: 'mycorrhizae', level: 'good',
+    text: ({ stage }) => stage === 'established'
+      ? '🍄 Mycorrhizal network fully established — major phosphorus and water boost!'
+      : '🍄 Mycorrhizal fungi are colonising your roots — nutrient uptake improving!',
+  },
+
+  // ── Herbivory ──
+  herbivoreAttack: {
+    subsystem: 'herbivory', level: 'danger', notify: true,
+    text: ({ kind }) => kind === 'grazer'
+      ? '🦌 A grazer is chewing on your trunk! Structural damage imminent.'
+      : '🐛 Insects are devouring your leaves! Activate defense response?',
+  },
+  trunkScarred: {
+    subsystem: 'herbivory', level: 'danger',
+    text: () => '🦌 Deep trunk scarring — structural support permanently reduced!',
+  },
+  herbivoreGone: {
+    subsystem: 'herbivory', level: '',
+    text: () => '🌿 Herbivore threat has passed.',
+  },
+
+  // ── Weather ──
+  weatherStart: {
+    subsystem: 'weather', level: 'danger', notify: true,
+    text: ({ kind }) => ({
+      drought: '☀️ A severe drought has set in! Rainfall has dried up.',
+      flood:   '🌊 Heavy rains are causing flooding! Root systems at risk.',
+      storm:   '🌪️ A violent storm is hitting — structural roots will be tested!',
+    })[kind],
+  },
+  weatherOngoing: {
+    subsystem: 'weather', level: 'danger',
+    text: ({ kind }) => ({
+      drought: '🏜️ Drought continues — rainfall almost zero.',
+      flood:   '🌊 Flooding — roots starved of oxygen, structural roots dying.',
+      storm:   '🌪️ Storm battering the plant — branches and leaves tearing!',
+    })[kind],
+  },
+  weatherEnd: {
+    subsystem: 'weather', level: '',
+    text: ({ kind }) => `Weather event ended: ${kind} has passed.`,
+  },
+};
+
+// ── Listeners ─────────────────────────────────────────────
+// Keyed by game state so a rewound or forecast copy never fires the live
+// game's listeners.
+const _listeners = new WeakMap();
+
+/** Call fn(event, gs) for every `type` event in this game ('*' for all). Returns an unsubscribe function. */
+export function subscribe(gs, type, fn) {
+  if (type !== '*' && !EVENT_TYPES[type]) throw new Error(`Unknown event type "${type}".`);
+  if (!_listeners.has(gs)) _listeners.set(gs, new Map());
+  const byType = _listeners.get(gs);
+  if (!byType.has(type)) byType.set(type, new Set());
+  byType.get(type).add(fn);
+  return () => byType.get(type).delete(fn);
+}
+
+export function emit(gs, type, data = {}) {
+  const def = EVENT_TYPES[type];
+  if (!def) throw new Error(`Unknown event type "${type}".`);
+
+  const event = {
+    type,
+    tick:      gs.tick,
+    day:       gs.day,
+    season:    gs.season,
+    subsystem: def.subsystem,
+    level:     typeof def.level === 'function' ? def.level(data) : def.level,
+    data,
+  };
+  [].concat(def.text(data, gs)).forEach(line => addLog(gs, line, event.level, event));
+
+  const byType = _listeners.get(gs);
+  if (byType) {
+    byType.get(type)?.forEach(fn => fn(event, gs));
+    byType.get('*')?.forEach(fn => fn(event, gs));
+  }
+  return event;
+}
+
+export function describeEvent(event, gs) {
+  return [].concat(EVENT_TYPES[event.type].text(event.data, gs)).join(' ');
+}
+
+// ── Log ───────────────────────────────────────────────────
+// Appends to the run's journal (see journal.js), which is never trimmed.
+// Messages that aren't simulation events (saves, imports, hints) are
+// written directly; event lines also remember which event they came from.
+export function addLog(gs, msg, type = '', event = null) {
+  const entry = { tick: gs.tick, day: gs.day, msg, type, subsystem: event?.subsystem ?? 'game' };
+  if (event) entry.event = event.type;
+  gs.journal.push(entry);
+}
@@ -0,0 +1,79 @@
+// ============================================================
+// forecast.js — Look-ahead projections for each growth choice
+// ============================================================
+//
+// Runs copies of the game forward under every growth choice the player
+// could make right now. Each copy starts from the same state, including the
+// random generator, so all choices see identical weather and events and the
+// differences come from the choice alone. The live game is never touched.
+
+import { simulateTick } from './gameState.js';
+import { ROOT_TYPES } from './data.js';
+
+export const FORECAST_DAYS = [10, 30];
+
+const TICKS_PER_DAY = 10;
+const UNLOCKS       = ['trunk', 'leaves', 'branches'];
+
+/**
+ * Every choice available in gs: no growth, roots with each root type, and
+ * each unlocked above-ground action (keeping the current root type).
+ */
+export function forecastChoices(gs) {
+  const choices = [{ action: null, rootType: gs.rootType }];
+  Object.keys(ROOT_TYPES).forEach(rootType => choices.push({ action: 'roots', rootType }));
+  ['trunk', 'branches', 'leaves'].forEach(action => {
+    if (gs.unlocked[action]) choices.push({ action, rootType: gs.rootType });
+  });
+  return choices;
+}
+
+/**
+ * Project each choice `days` ahead. Returns one row per choice:
+ *   { action, rootType, current, at: { [days]: { energy, water, health } },
+ *     unlocks: { trunk|leaves|branches: day } }
+ * `unlocks` lists parts still locked now, with the day they unlock (or null).
+ */
+export function forecast(gs, days = FORECAST_DAYS) {
+  const horizon = Math.max(...days);
+  return forecastChoices(gs).map(choice => {
+    const sim = _clone(gs);
+    sim.activeAction = choice.action;
+    sim.rootType     = choice.rootType;
+
+    const unlocks = {};
+    UNLOCKS.forEach(part => { if (!gs.unlocked[part]) unlocks[part] = null; });
+
+    const at = {};
+    for (let day = 1; day <= horizon; day++) {
+      if (!sim.lifeComplete) {
+        for (let t = 0; t < TICKS_PER_DAY; t++) simulateTick(sim);
+      }
+      Object.keys(unlocks).forEach(part => {
+        if (unlocks[part] === null && sim.unlocked[part]) unlocks[part] = sim.day;
+      });
+      if (days.includes(day)) {
+        at[day] = { energy: sim.energy, water: sim.water, health: sim.health };
+      }
+    }
+
+    return {
+      ...choice,
+      current: choice.action === gs.activeAction && choice.rootType === gs.rootType,
+      at,
+      unlocks,
+    };
+  });
+}
+
+// A detached copy that shares only the immutable biome/seed definitions.
+// The journal and input log are left empty — the copy's events are discarded.
+function _clone(gs) {
+  const { biome, seed, journal, inputs, ...rest } = gs;
+  const copy = JSON.parse(JSON.stringify(rest));
+  copy.biome   = biome;
+  copy.seed    = seed;
+  copy.journal = [];
+  copy.inputs  = [];
+  return copy;
+}
@@ -2,23 +2,27 @@
 // gameState.js — Core game state and resource simulation
 // ============================================================
 
-import { RESOURCE_MAX, ROOT_TYPES, DEFAULT_SETTINGS } from './data.js';
+import { RESOURCE_MAX, ROOT_TYPES, SOIL_TYPES, SOIL_LAYERS, ROOT_UPTAKE } from './data.js';
+import { createRng, nextRandom, randomSeed } from './rng.js';
+import { emit, addLog } from './events.js';
+import { DEFAULT_SETTINGS, registerSystem, systemState, tickSystems } from './systems.js';
+import { createSoilGrid, rootShares, cellAt, cellLayer, GRID_RESOURCES } from './soilGrid.js';
+
+export function createGameState(biome, seed, settings = DEFAULT_SETTINGS, rngSeed = randomSeed()) {
+  const rng = createRng(rngSeed);
 
-export function createGameState(biome, seed, settings = DEFAULT_SETTINGS) {
   // Apply biome variance (random offset ±15%)
-  const vary = (base, delta = 0.15) => Math.max(0, Math.min(1, base + (Math.random() - 0.5) * delta * 2));
+  const vary = (base, delta = 0.15) => Math.max(0, Math.min(1, base + (nextRandom(rng) - 0.5) * delta * 2));
 
   return {
     // Meta
     biome,
     seed,
+    rng,         // seeded PRNG state — every stochastic system draws from this
     day: 1,
     season: 0,   // 0=Spring 1=Summer 2=Autumn 3=Winter
     tick: 0,
     paused: true,
-    dormant:       false,         // currently in winter dormancy
-    dormancyDepth: 0.0,           // 0=active, 1=fully dormant
-    lifeComplete:  false,         // annual has completed its life cycle
     settings,   // biology feature flags
     speed: 0,
 
@@ -41,6 +45,11 @@ export function createGameState(biome, seed, settings = DEFAULT_SETTINGS) {
       temperature:     lerp(biome.tempRange[0], biome.tempRange[1], 0.3), // spring
     },
 
+    // Water held in the soil layers above the water table (see updateSoilMoisture)
+    soilWater: _initialSoilWater(biome),
+    // Water and nutrient patches, cell by cell (see soilGrid.js)
+    soilGrid: createSoilGrid(soilTexture(biome), rngSeed),
+
     // Active player action
     activeAction: null,   // 'roots'|'trunk'|'branches'|'leaves'
     rootType: 'surface',  // default root type
@@ -73,6 +82,7 @@ export function createGameState(biome, seed, settings = DEFAULT_SETTINGS) {
         // Track how many arms/milestone segments have been generated
         surfaceArms:    0,
         taprootDepth:   0,  // generation depth currently grown to
+        taprootLength:  0,  // rootDepth when the tap root was last rebuilt
         structuralArms: 0,
       },
     },
@@ -92,20 +102,18 @@ export function createGameState(biome, seed, settings = DEFAULT_SETTINGS) {
       hoveredId:  null,
     },
 
-    flowering: false,    // currently in flowering state
-    log: [],
-    stomata: 1.0,   // 0=fully closed, 1=fully open (computed each tick)
-    xylemIntegrity: 1.0,   // 0=fully embolized, 1=fully functional
-    cavitationEvents: 0,   // total cavitation events (for display)
-    mycorrhizalColonisation: 0.0,  // 0-1: how established the fungal network is
-    mycorrhizalBonus: 0.0,         // current bonus to P and water uptake
-    // Herbivory state
-    herbivorePressure: 0.0,    // current grazing pressure (0-1)
-    herbivoreEvent:    false,  // currently under attack
-    // Weather event state
-    activeWeatherEvent: null,  // null | 'drought' | 'flood' | 'storm'
-    weatherEventTimer:  0,     // ticks remaining for current event
-    weatherEventLog:    0,     // last day a weather event was logged (debounce)
+    budget: _emptyBudget(),   // this tick's income/expense terms per resource (see _budget)
+    healthTerms: {},  // this tick's health change per cause (see _healthTerm)
+    stressTrend: { day: {}, month: {} },  // running averages of healthTerms
+
+    inputs: [],          // recorded player inputs [tick, type, value] (see inputs.js)
+    // Placements that can still be taken back today (see undoPlacement)
+    placementHistory: { undo: [], redo: [] },
+
+    journal: [],         // every log line, oldest first (see journal.js)
+
+    // State of each biology system (see registerSystem calls below)
+    ...systemState(),
   };
 }
 
@@ -115,29 +123,24 @@ export function simulateTick(gs) {
   gs.day = Math.floor(gs.tick / 10) + 1;   // 10 ticks = 1 day
   gs.season = Math.floor((gs.day % 360) / 90);
   gs.plant.ageInDays = gs.day;
-
-  const s = gs.settings;
+  gs.budget = _emptyBudget();
+  gs.healthTerms = {};
 
   updateEnvironment(gs);
-  if (s.stomatalRegulation) updateStomata(gs);
-  else gs.stomata = 1.0;  // always open if disabled
-
-  if (s.hydraulicFailure) updateHydraulics(gs);
-  else gs.xylemIntegrity = 1.0;  // no damage if disabled
+  tickSystems(gs, 'before');
 
-  computeResourceFlows(gs);  // always runs; internally checks s flags
+  computeResourceFlows(gs);  // always runs; internally checks settings flags
   applyGrowth(gs);
   updateRootGraph(gs);
   seedBaseNode(gs);
   checkUnlocks(gs);
   updateHealth(gs);
 
-  if (s.flowering)     updateFlowering(gs);
-  if (s.lifeCycles)    updateLifeCycle(gs);
-  if (s.cambiumGrowth) updateCambium(gs);     // Phase 2.4: cambium growth rings
-  if (s.mycorrhizae)   updateMycorrhizae(gs); // Phase 3.1: mycorrhizal network
-  if (s.herbivory)      updateHerbivory(gs);      // Phase 3.2: herbivory events
-  if (s.weatherEvents)  updateWeatherEvents(gs);  // Phase 3.3: weather events
+  tickSystems(gs, 'after');
+
+  updateSoilMoisture(gs);    // after weather, so droughts and floods reach the soil
+  updateWaterTable(gs);
+  updateStressTrend(gs);
 }
 
 // ── Environment changes with season ───────────────────────
@@ -149,9 +152,9 @@ function updateEnvironment(gs) {
   const seasonRainMod = [1.10, 0.80, 1.00, 0.90][season];
   const tempFraction  = [0.3, 0.9, 0.6, 0.05][season];
 
-  gs.env.sunlight     = clamp(vary(biome.sunlight * seasonSunMod, 0.05), 0, 1);
-  gs.env.rainfall     = clamp(vary(biome.rainfall * seasonRainMod, 0.08), 0, 1);
-  gs.env.temperature  = lerp(biome.tempRange[0], biome.tempRange[1], tempFraction) + (Math.random() - 0.5) * 3;
+  gs.env.sunlight     = clamp(vary(gs, biome.sunlight * seasonSunMod, 0.05), 0, 1);
+  gs.env.rainfall     = clamp(vary(gs, biome.rainfall * seasonRainMod, 0.08), 0, 1);
+  gs.env.temperature  = lerp(biome.tempRange[0], biome.tempRange[1], tempFraction) + (random(gs) - 0.5) * 3;
 }
 
 // ── Resource production / consumption ─────────────────────
@@ -166,9 +169,9 @@ function updateStomata(gs) {
   gs.stomata = clamp(waterStress * tempStress * camFactor, 0, 1);
 
   if (gs.stomata < 0.2 && gs.tick % 30 === 0) {
-    addLog(gs, 'Stomata nearly closed — photosynthesis stalled to conserve water.', 'danger');
+    emit(gs, 'stomataClosed', { stomata: gs.stomata });
   } else if (gs.stomata < 0.5 && gs.tick % 60 === 0) {
-    addLog(gs, 'Stomata partially closed — trading growth for drought survival.', '');
+    emit(gs, 'stomataPartial', { stomata: gs.stomata });
   }
 }
 
@@ -188,7 +191,7 @@ function updateHydraulics(gs) {
     if (damage > 0.002) {
       gs.cavitationEvents++;
       if (gs.cavitationEvents % 5 === 1) {
-        addLog(gs, 'Xylem cavitation — air bubbles block water transport!', 'danger');
+        emit(gs, 'cavitation', { count: gs.cavitationEvents, integrity: gs.xylemIntegrity });
       }
     }
   }
@@ -230,24 +233,31 @@ function computeResourceFlows(gs) {
   const transpire    = leafArea * 0.8 * seed.waterNeed * gs.stomata;
   const transpireEff = transpire * (1.0 - gs.dormancyDepth * 0.8);
 
-  // --- Root water uptake
-  const rootTotal    = (plant.rootSpread + plant.rootDepth + plant.rootStructural) / 100;
-  const rainCapture  = env.rainfall * plant.rootSpread / 100 * rt.waterBonus * 4.5;
-  const tapCapture   = (5 / env.groundwaterDepth) * plant.rootDepth / 100 * rt.waterBonus * 2.0;
+  // --- Root water uptake from each soil layer (see _layerUptake)
+  const soil      = soilTexture(gs.biome);
+  const rootTotal = (plant.rootSpread + plant.rootDepth + plant.rootStructural) / 100;
+  const cells     = gs.settings.soilPatches ? _rootCells(gs) : null;
+  const layerIn   = cells ? _cellUptake(gs, rt, soil, cells) : _layerUptake(gs, rt, soil);
+  const soilDraw  = layerIn.topsoil + layerIn.subsoil + layerIn.groundwater;
   const mycoBonus = gs.mycorrhizalBonus ?? 0;
-  const waterIn   = (rainCapture + tapCapture) * seed.rootEfficiency * gs.xylemIntegrity * (1 + mycoBonus * 0.4);
-
-  // --- Root NPK uptake — each nutrient drawn from soil separately
+  const waterIn   = soilDraw * seed.rootEfficiency * gs.xylemIntegrity * (1 + mycoBonus * 0.4);
+
+  // --- Root NPK uptake — each nutrient drawn from soil separately; rain
+  // leaches nutrients out of coarse soils
+  const soilNut = clamp(1 - soil.leaching * env.rainfall, 0.2, 1.5);
+  // Roots in touch with each nutrient: with soil patches, root mass weighted
+  // by how rich the cells it grows through are
+  const contact = cells ? _nutrientContact(gs, cells) : { n: rootTotal, p: rootTotal, k: rootTotal };
   let nIn, pIn, kIn;
   if (gs.settings.npkNutrients) {
     const npk  = gs.biome.npk  ?? { n: 0.5, p: 0.5, k: 0.5 };
     const need = gs.seed.npkNeed ?? { n: 1.0, p: 1.0, k: 1.0 };
-    nIn = rootTotal * npk.n * rt.nutrientBonus * seed.rootEfficiency * 1.5 * need.n;
-    pIn = rootTotal * npk.p * rt.nutrientBonus * seed.rootEfficiency * 1.2 * need.p * (1 + mycoBonus * 0.8);
-    kIn = rootTotal * npk.k * rt.nutrientBonus * seed.rootEfficiency * 1.0 * need.k;
+    nIn = contact.n * npk.n * soilNut * rt.nutrientBonus * seed.rootEfficiency * 1.5 * need.n;
+    pIn = contact.p * npk.p * soilNut * rt.nutrientBonus * seed.rootEfficiency * 1.2 * need.p * (1 + mycoBonus * 0.8);
+    kIn = contact.k * npk.k * soilNut * rt.nutrientBonus * seed.rootEfficiency * 1.0 * need.k;
   } else {
     // Simplified: single nutrient flow split evenly
-    const nutIn = rootTotal * (gs.biome.soilNutrients ?? 0.5) * rt.nutrientBonus * seed.rootEfficiency * 1.5;
+    const nutIn = (contact.n + contact.p + contact.k) / 3 * (gs.biome.soilNutrients ?? 0.5) * soilNut * rt.nutrientBonus * seed.rootEfficiency * 1.5;
     nIn = nutIn * 0.5;
     pIn = nutIn * 0.3 * (1 + mycoBonus * 0.8);
     kIn = nutIn * 0.2;
@@ -270,9 +280,37 @@ function computeResourceFlows(gs) {
                       : gs.activeAction === 'branches' ? 1.0 : 0.6;
   }
 
-  // --- Apply changes (clamped)
+  // --- Report every term, then apply changes (clamped)
+  const rootUptake = seed.rootEfficiency * gs.xylemIntegrity;
+  const mycoWater  = soilDraw * rootUptake * mycoBonus * 0.4;
+  const mycoP      = pIn - pIn / (1 + mycoBonus * 0.8);
+  _budget(gs, 'energy', 'photosynthesis', photoRateEff);
+  _budget(gs, 'energy', 'seedReserve',    seedEnergy);
+  _budget(gs, 'energy', 'respiration',    -respireCost * respireMod);
+  _budget(gs, 'energy', 'growth',         -growCostEnergy);
+  _budget(gs, 'water',  'topsoil',        layerIn.topsoil * rootUptake);
+  _budget(gs, 'water',  'subsoil',        layerIn.subsoil * rootUptake);
+  _budget(gs, 'water',  'groundwater',    layerIn.groundwater * rootUptake);
+  _budget(gs, 'water',  'mycorrhizae',    mycoWater);
+  _budget(gs, 'water',  'transpiration',  -transpireEff);
+  _budget(gs, 'water',  'growth',         -growCostWater);
+  _budget(gs, 'nitrogen',   'uptake',      nIn);
+  _budget(gs, 'nitrogen',   'growth',      -growCostNutrients * 0.5);
+  _budget(gs, 'phosphorus', 'uptake',      pIn - mycoP);
+  _budget(gs, 'phosphorus', 'mycorrhizae', mycoP);
+  _budget(gs, 'phosphorus', 'growth',      -growCostNutrients * 0.3);
+  _budget(gs, 'potassium',  'uptake',      kIn);
+  _budget(gs, 'potassium',  'growth',      -growCostNutrients * 0.2);
+  _budget(gs, 'o2',  'photosynthesis',  o2Out);
+  _budget(gs, 'o2',  'rootRespiration', -o2Consumed);
+  _budget(gs, 'co2', 'photosynthesis',  -co2Consumed);
+  _budget(gs, 'co2', 'respiration',     respireCost * 0.3);
+
   gs.energy    = clamp(gs.energy    + photoRateEff + seedEnergy - respireCost * respireMod - growCostEnergy, 0, RESOURCE_MAX);
   gs.water     = clamp(gs.water     + waterIn   - transpireEff - growCostWater,                     0, RESOURCE_MAX);
+  gs.soilWater.topsoil = Math.max(0, gs.soilWater.topsoil - layerIn.topsoil * rootUptake);
+  gs.soilWater.subsoil = Math.max(0, gs.soilWater.subsoil - layerIn.subsoil * rootUptake);
+  if (cells) _drawDownCells(gs, cells, rootUptake, { n: nIn, p: pIn, k: kIn }, contact);
   gs.nitrogen   = clamp(gs.nitrogen   + nIn - growCostNutrients * 0.5, 0, RESOURCE_MAX);
   gs.phosphorus = clamp(gs.phosphorus + pIn - growCostNutrients * 0.3, 0, RESOURCE_MAX);
   gs.potassium  = clamp(gs.potassium  + kIn - growCostNutrients * 0.2, 0, RESOURCE_MAX);
@@ -280,7 +318,223 @@ function computeResourceFlows(gs) {
   gs.co2       = clamp(gs.co2       - co2Consumed + respireCost * 0.3,                            0, RESOURCE_MAX);
 
   // Store flows for HUD
-  gs.flows = { photoRate, waterIn, respireCost, nIn, pIn, kIn, transpire };
+  gs.flows = { photoRate, waterIn, respireCost, nIn, pIn, kIn, transpire, o2Out, o2Consumed };
+}
+
+// Water each layer offers the roots this tick: each root pattern pulls on
+// the layers ROOT_UPTAKE lists for it, and the tap root draws on the water
+// table once it actually reaches it (taprootReach). A layer gives up at
+// most a quarter of what it holds per tick, so dry soil runs out gradually.
+// With soil patches on, _cellUptake replaces this.
+function _layerUptake(gs, rt, soil) {
+  const { plant, soilWater } = gs;
+  const pull = { topsoil: 0, subsoil: 0 };
+  Object.values(ROOT_UPTAKE).forEach(u => {
+    u.layers.forEach(layer => {
+      if (layer in pull) pull[layer] += plant[u.mass] * u.rate;
+    });
+  });
+  const uptake = layer => Math.min(soilWater[layer] * 0.25,
+    soilWater[layer] / SOIL_LAYERS[layer].capacity * pull[layer] / 100 * rt.waterBonus);
+  return {
+    topsoil:     uptake('topsoil'),
+    subsoil:     uptake('subsoil'),
+    groundwater: _groundwaterUptake(gs, rt, soil),
+  };
+}
+
+function _groundwaterUptake(gs, rt, soil) {
+  return taprootReach(gs) * (5 / gs.env.groundwaterDepth) * gs.plant.rootDepth / 100 * rt.waterBonus * soil.drainage;
+}
+
+// ── Soil patches ──────────────────────────────────────────
+// With the soilPatches system on, roots take up from the grid cells their
+// segments actually pass through (soilGrid.js). Each root type's mass is
+// spread over its cells by length; a cell gives water in proportion to how
+// wet its layer is and how wet the cell itself is, and nutrients in
+// proportion to its own N/P/K. Uptake draws a cell down and updateSoilGrid
+// lets it recover, so roots left in one spot exhaust it and new roots into
+// fresh patches pay off.
+const WATER_DRAWDOWN    = 0.004;  // cell water lost per unit drawn
+const NUTRIENT_DRAWDOWN = 0.002;  // cell N/P/K lost per unit taken up
+const WATER_RECHARGE    = 0.01;   // share of the gap to the patch value refilled per tick
+const NUTRIENT_RECHARGE = 0.001;
+
+// Shares are only recomputed when the root graph changes shape
+const _sharesCache = new WeakMap();
+
+function _rootSharesOf(rg) {
+  const key = `${rg.surface.length}|${rg.structural.length}|${rg.taproot.length}|${rg.taprootLength}`;
+  let hit = _sharesCache.get(rg);
+  if (hit?.key !== key) _sharesCache.set(rg, hit = { key, shares: rootShares(rg) });
+  return hit.shares;
+}
+
+// The cells the roots occupy: [{ cell, layer, mass, thirst }], where mass
+// is root mass there (0–1 per type, like rootTotal) and thirst the same
+// weighted by each type's water uptake rate. Root mass grown before its
+// type has any segments sits in the seed's own cell.
+function _rootCells(gs) {
+  const { plant } = gs;
+  const shares = _rootSharesOf(plant.rootGraph);
+  const byCell = new Map();
+  Object.entries(ROOT_UPTAKE).forEach(([type, u]) => {
+    const m = plant[u.mass] / 100;
+    if (m <= 0) return;
+    (shares[type] ?? [[cellAt(0, 0), 1]]).forEach(([cell, share]) => {
+      let entry = byCell.get(cell);
+      if (!entry) byCell.set(cell, entry = { cell, layer: cellLayer(cell), mass: 0, thirst: 0 });
+      entry.mass   += m * share;
+      entry.thirst += m * share * u.rate;
+    });
+  });
+  return [...byCell.values()];
+}
+
+// Like _layerUptake, cell by cell; also notes each cell's draw (`water`)
+function _cellUptake(gs, rt, soil, cells) {
+  const { soilWater, soilGrid } = gs;
+  const wet = {
+    topsoil: soilWater.topsoil / SOIL_LAYERS.topsoil.capacity,
+    subsoil: soilWater.subsoil / SOIL_LAYERS.subsoil.capacity,
+  };
+  const want = { topsoil: 0, subsoil: 0 };
+  cells.forEach(e => {
+    e.water = e.thirst * wet[e.layer] * soilGrid.water[e.cell] * rt.waterBonus;
+    want[e.layer] += e.water;
+  });
+
+  // A layer still gives up at most a quarter of what it holds per tick
+  const scale = {};
+  Object.keys(want).forEach(layer => {
+    scale[layer] = want[layer] > 0 ? Math.min(1, soilWater[layer] * 0.25 / want[layer]) : 0;
+  });
+  cells.forEach(e => { e.water *= scale[e.layer]; });
+  return {
+    topsoil:     want.topsoil * scale.topsoil,
+    subsoil:     want.subsoil * scale.subsoil,
+    groundwater: _groundwaterUptake(gs, rt, soil),
+  };
+}
+
+function _nutrientContact(gs, cells) {
+  const grid = gs.soilGrid;
+  const contact = { n: 0, p: 0, k: 0 };
+  cells.forEach(({ cell, mass }) => {
+    contact.n += mass * grid.n[cell];
+    contact.p += mass * grid.p[cell];
+    contact.k += mass * grid.k[cell];
+  });
+  return contact;
+}
+
+// Take this tick's uptake out of the cells it came from, each nutrient
+// shared out by how much of the contact each cell provided, and note how
+// rich the root zone is overall (1 = average soil)
+function _drawDownCells(gs, cells, rootUptake, nutrientIn, contact) {
+  const grid = gs.soilGrid;
+  let mass = 0, richness = 0;
+  cells.forEach(({ cell, mass: m, water }) => {
+    grid.water[cell] = Math.max(0, grid.water[cell] - water * rootUptake * WATER_DRAWDOWN);
+    ['n', 'p', 'k'].forEach(res => {
+      if (contact[res] <= 0) return;
+      const taken = nutrientIn[res] * m * grid[res][cell] / contact[res];
+      grid[res][cell] = Math.max(0, grid[res][cell] - taken * NUTRIENT_DRAWDOWN);
+    });
+    mass     += m;
+    richness += m * GRID_RESOURCES.reduce((a, res) => a + grid[res][cell], 0) / GRID_RESOURCES.length;
+  });
+  gs.rootZone = mass > 0 ? richness / mass : 1;
+}
+
+// Drawn-down cells recover towards their patch value: water seeps back
+// faster in free-draining soil and in rain, nutrients are slowly released
+// by the soil again
+function updateSoilGrid(gs) {
+  const grid = gs.soilGrid;
+  const waterRate = WATER_RECHARGE * soilTexture(gs.biome).drainage * (0.5 + gs.env.rainfall);
+  GRID_RESOURCES.forEach(res => {
+    const rate = res === 'water' ? waterRate : NUTRIENT_RECHARGE;
+    const base = grid.base[res];
+    const cur  = grid[res];
+    for (let c = 0; c < cur.length; c++) cur[c] += (base[c] - cur[c]) * rate;
+  });
+}
+
+// ── Water table ───────────────────────────────────────────
+// env.groundwaterDepth (1–6) drifts towards the biome's depth shifted by
+// season and weather: wet springs and floods raise the table, summers and
+// droughts lower it. It moves a few percent of the way each day, faster in
+// free-draining soil.
+const TABLE_SEASON_SHIFT  = [-0.4, 0.6, 0.2, -0.2];   // Spring…Winter; + is deeper
+const TABLE_WEATHER_SHIFT = { flood: -1.5, drought: 1.5 };
+const TABLE_RATE          = 0.006;                     // share of the gap closed per tick
+
+// Root-graph depth (px below ground, as drawn) of the water table, and the
+// capillary fringe above it where a tap root already finds some water
+export const waterTableY = depth => 40 + depth * 30;
+const CAPILLARY_FRINGE_PX = 20;
+
+function updateWaterTable(gs) {
+  const { env, biome } = gs;
+  const shift  = TABLE_SEASON_SHIFT[gs.season] + (TABLE_WEATHER_SHIFT[gs.activeWeatherEvent] ?? 0);
+  const target = clamp(biome.groundwaterDepth + shift, 1, 6);
+  const before = env.groundwaterDepth;
+  env.groundwaterDepth = clamp(before + (target - before) * TABLE_RATE * soilTexture(biome).drainage, 1, 6);
+
+  // Tell the player when the table crosses a whole level
+  const level = Math.round(env.groundwaterDepth);
+  if (level !== Math.round(before)) {
+    emit(gs, 'waterTable', { depth: env.groundwaterDepth, rising: env.groundwaterDepth < before });
+  }
+}
+
+/**
+ * How well the tap root reaches the water table: 1 when its deepest
+ * segment is at or below the table, falling to 0 across the capillary
+ * fringe above it.
+ */
+export function taprootReach(gs) {
+  const segs = gs.plant.rootGraph.taproot;
+  if (!segs.length) return 0;
+  const deepest = Math.max(...segs.map(s => Math.max(s.y1, s.y2)));
+  const gap     = waterTableY(gs.env.groundwaterDepth) - deepest;
+  return clamp(1 - gap / CAPILLARY_FRINGE_PX, 0, 1);
+}
+
+// ── Soil moisture ─────────────────────────────────────────
+// Rain soaks into the topsoil (what does not fit runs off) and evaporates
+// from it in sun and heat. Water above field capacity percolates down to
+// the subsoil, which drains slowly to the water table and is topped up
+// from it by capillary rise where the table is shallow. Roots take their
+// share in computeResourceFlows.
+function updateSoilMoisture(gs) {
+  const { env, soilWater } = gs;
+  const soil   = soilTexture(gs.biome);
+  const capTop = _layerCapacity(gs.biome, 'topsoil');
+  const capSub = _layerCapacity(gs.biome, 'subsoil');
+
+  const infiltration = env.rainfall * 4.0;
+  const evaporation  = soilWater.topsoil * 0.006 * env.sunlight * clamp(1 + env.temperature / 30, 0.2, 2);
+  const percolation  = Math.max(0, soilWater.topsoil - capTop * 0.4) * 0.03 * soil.drainage;
+  const drainage     = Math.max(0, soilWater.subsoil - capSub * 0.5) * 0.01 * soil.drainage;
+  const capillary    = Math.max(0, capSub - soilWater.subsoil) * 0.01 / env.groundwaterDepth;
+
+  soilWater.topsoil = clamp(soilWater.topsoil + infiltration - evaporation - percolation, 0, capTop);
+  soilWater.subsoil = clamp(soilWater.subsoil + percolation - drainage + capillary,      0, capSub);
+}
+
+function _layerCapacity(biome, layer) {
+  return SOIL_LAYERS[layer].capacity * soilTexture(biome).waterHolding;
+}
+
+// Wetter climates start with moister soil
+function _initialSoilWater(biome) {
+  const wet = 0.3 + biome.rainfall * 0.5;
+  return {
+    topsoil: _layerCapacity(biome, 'topsoil') * wet,
+    subsoil: _layerCapacity(biome, 'subsoil') * wet,
+  };
 }
 
 // ── Apply growth for active action ────────────────────────
@@ -304,17 +558,17 @@ function applyGrowth(gs) {
     pFactor = 1.0;
     kFactor = 1.0;
   }
-  const spdR = spd * pFactor * kFactor;  // roots
+  const spdR = spd * pFactor * kFactor / soilTexture(gs.biome).penetration;  // roots
   const spdT = spd * pFactor;            // trunk
   const spdB = spd * nFactor * kFactor;  // branches
   const spdL = spd * nFactor;            // leaves
 
   switch (gs.activeAction) {
     case 'roots': {
-      if (gs.rootType === 'taproot') {
+      if (rt.pattern === 'taproot') {
         plant.rootDepth      = clamp(plant.rootDepth      + spdR * rt.waterBonus,       0, 100);
         plant.rootStructural = clamp(plant.rootStructural + spdR * 0.3,                 0, 100);
-      } else if (gs.rootType === 'structural') {
+      } else if (rt.pattern === 'structural') {
         plant.rootStructural = clamp(plant.rootStructural + spdR * rt.structuralBonus,  0, 100);
         plant.rootSpread     = clamp(plant.rootSpread     + spdR * 0.4,                 0, 100);
         plant.rootDepth      = clamp(plant.rootDepth      + spdR * 0.5,                 0, 100);
@@ -357,8 +611,10 @@ function applyGrowth(gs) {
 }
 
 // ── Seed base node when seedling first sprouts ────────────
+// The shoot comes up once the roots can anchor a trunk (or leaves have
+// started), giving trunk and leaf placement their first node to grow from
 function seedBaseNode(gs) {
-  if (gs.plant.leafMass >= 0.5 && gs.plant.nodes.length === 0) {
+  if ((gs.unlocked.trunk || gs.plant.leafMass >= 0.5) && gs.plant.nodes.length === 0) {
     gs.plant.nodes.push({
       type:      'trunk',
       id:        gs.plant.nextNodeId++,
@@ -370,7 +626,7 @@ function seedBaseNode(gs) {
       thickness: 2,
       children:  [],
     });
-    addLog(gs, 'A seedling has sprouted — choose where to grow your first trunk segment!', 'good');
+    emit(gs, 'sprout');
   }
 }
 
@@ -389,34 +645,35 @@ function checkUnlocks(gs) {
   // can satisfy it. Balance is enforced by the supportRatio in applyGrowth.
   if (!gs.unlocked.trunk && anchorScore >= 8) {
     gs.unlocked.trunk = true;
-    addLog(gs, 'Your roots can support a trunk — but keep them growing to match it!', 'good');
+    emit(gs, 'unlock', { part: 'trunk' });
   }
   if (!gs.unlocked.trunk && anchorScore >= 4 && gs.tick % 20 === 0) {
-    addLog(gs, `Roots ${Math.round(anchorScore)}/8 anchor strength — almost ready for a trunk.`, '');
+    emit(gs, 'anchorProgress', { score: anchorScore });
   }
 
   // Leaves: unlock as soon as the seedling node exists (cotyledons count),
   // but meaningful photosynthesis only comes once real leaf nodes are placed.
   if (!gs.unlocked.leaves && plant.nodes.length > 0) {
     gs.unlocked.leaves = true;
-    addLog(gs, 'The seedling can grow leaves — balance leaf growth with your roots!', 'good');
+    emit(gs, 'unlock', { part: 'leaves' });
   }
 
   // Branches: once trunk has some height
   if (!gs.unlocked.branches && plant.trunkHeight >= 16) {
     gs.unlocked.branches = true;
-    addLog(gs, 'The trunk is tall enough to grow branches.', 'good');
+    emit(gs, 'unlock', { part: 'branches' });
   }
 }
 
 // ── Health calculation ─────────────────────────────────────
 function updateHealth(gs) {
-  let stress = 0;
-  if (gs.energy    < 10) stress += 2;
-  if (gs.water     < 10) stress += 3;
-  if (gs.nitrogen < 8 || gs.phosphorus < 8) stress += 1;
-  if (gs.potassium < 8) stress += 1;
-  if (gs.o2        < 15) stress += 1;
+  // Stress points by cause; each point costs 0.5 health this tick
+  const causes = {};
+  if (gs.energy    < 10) causes.energy    = 2;
+  if (gs.water     < 10) causes.water     = 3;
+  if (gs.nitrogen < 8 || gs.phosphorus < 8) causes.nutrients = 1;
+  if (gs.potassium < 8) causes.potassium = 1;
+  if (gs.o2        < 15) causes.o2        = 1;
 
   const temp    = gs.env.temperature;
   const tempOpt = gs.seed.tempOptimum ?? 22;
@@ -425,24 +682,29 @@ function updateHealth(gs) {
   const coldHardening = gs.dormant ? gs.dormancyDepth : 0;
   const effectiveTFactor = tFactor + coldHardening * 0.4;
   if (gs.settings.tempOptima) {
-    if (effectiveTFactor < 0.3) stress += 2;       // severe temp stress — outside survival zone
-    else if (effectiveTFactor < 0.6) stress += 1;  // moderate temp stress
+    if (effectiveTFactor < 0.3) causes.temperature = 2;       // severe temp stress — outside survival zone
+    else if (effectiveTFactor < 0.6) causes.temperature = 1;  // moderate temp stress
   }
 
   if (tFactor < 0.2 && gs.tick % 40 === 0) {
     const dir = temp > (gs.seed.tempOptimum ?? 22) ? 'heat' : 'cold';
-    addLog(gs, `Extreme ${dir} stress — enzymes failing, growth halted.`, 'danger');
+    emit(gs, 'tempStress', { direction: dir, temperature: temp });
   }
 
+  const stress = Object.values(causes).reduce((sum, n) => sum + n, 0);
   if (stress === 0) gs.health = clamp(gs.health + 0.3, 0, 100);
   else              gs.health = clamp(gs.health - stress * 0.5, 0, 100);
+  if (stress === 0) _healthTerm(gs, 'recovery', 0.3);
+  for (const [cause, n] of Object.entries(causes)) _healthTerm(gs, cause, -n * 0.5);
 
-  if (gs.health < 30 && gs.tick % 50 === 0) addLog(gs, 'The plant is struggling to survive!', 'danger');
+  if (gs.health < 30 && gs.tick % 50 === 0) emit(gs, 'struggling', { health: gs.health });
 }
 
 // ── Persistent root fractal graph generation ──────────────
 // Called every tick; only adds new segments when growth milestones are hit.
 // Segments are never re-randomised — they accumulate and thicken over time.
+const TAPROOT_REBUILD_STEP = 4;   // rootDepth units between tap root rebuilds
+
 function updateRootGraph(gs) {
   const { plant } = gs;
   const rg = plant.rootGraph;
@@ -472,14 +734,17 @@ function updateRootGraph(gs) {
   }
 
   // ── Tap root: grow one more fractal depth level per 25 units of rootDepth ──
+  // and lengthen it every few units, since how deep it is drawn decides
+  // whether it reaches the water table (see taprootReach)
   const targetDepth = Math.min(4, 1 + Math.floor(plant.rootDepth / 22));
-  if (targetDepth > rg.taprootDepth) {
-    // Clear and rebuild with deeper recursion (tap root replaces in-place)
-    rg.taproot = [];
+  if (targetDepth > rg.taprootDepth || plant.rootDepth - (rg.taprootLength ?? 0) >= TAPROOT_REBUILD_STEP) {
+    // Clear and rebuild (tap root replaces in-place), keeping the thickness it had
+    const widths  = rg.taproot.map(s => s.width);
     const rootLen = plant.rootDepth * 2.6;
-    const segs = _buildRootSegments(0, 0, Math.PI / 2, rootLen, targetDepth, 2.2, 'taproot', 0);
-    rg.taproot.push(...segs);
-    rg.taprootDepth = targetDepth;
+    rg.taproot = _buildRootSegments(0, 0, Math.PI / 2, rootLen, targetDepth, 2.2, 'taproot', 0);
+    rg.taproot.forEach((s, i) => { s.width = Math.min(Math.max(s.width, widths[i] ?? 0), s.maxWidth); });
+    rg.taprootDepth  = targetDepth;
+    rg.taprootLength = plant.rootDepth;
   }
 
   // ── Structural roots: one new arm per 15 units of rootStructural ──
@@ -631,10 +896,11 @@ function updateFlowering(gs) {
     const flowerRate = seed.growthRate * 0.4 * (gs.energy > 20 ? 1.0 : 0.3);
     plant.flowerProgress = clamp(plant.flowerProgress + flowerRate, 0, 100);
     gs.energy = clamp(gs.energy - 0.3, 0, 100);  // flowering costs energy
+    _budget(gs, 'energy', 'flowering', -0.3);
 
     if (plant.flowerProgress >= 100 && !gs.flowering) {
       gs.flowering = true;
-      addLog(gs, seed.icon + ' The plant has flowered! Awaiting pollination…', 'good');
+      emit(gs, 'flowered');
     }
   }
 
@@ -648,14 +914,14 @@ function updateFlowering(gs) {
       ? 0.02                                      // self-pollination: slow but certain
       : attr * pollinatorPresence * 0.015;        // insect/wind: depends on season
 
-    if (Math.random() < pollChance) {
+    if (random(gs) < pollChance) {
       plant.pollinated = true;
       // Seed yield scales with health, leaf mass, and pollinator attraction
       const yield_ = Math.round(
         3 + gs.health / 20 + plant.leafMass / 15 + (attr > 0 ? pollinatorPresence * 4 : 0)
       );
       plant.seedsProduced += yield_;
-      addLog(gs, 'Pollination successful! ' + yield_ + ' seeds produced. (Total: ' + plant.seedsProduced + ')', 'good');
+      emit(gs, 'pollinated', { seeds: yield_, total: plant.seedsProduced });
 
       // After pollination, flowering resets for next cycle (perennials can flower again)
       gs.flowering = false;
@@ -678,8 +944,7 @@ function updateLifeCycle(gs) {
     if ((hasSeeded && gs.season >= 2) || autumnEnd) {
       gs.lifeComplete = true;
       gs.paused = true;
-      addLog(gs, seed.icon + ' Life cycle complete! ' + (plant.seedsProduced || 0) + ' seeds produced in ' + gs.day + ' days.', 'good');
-      addLog(gs, 'The annual plant has completed its life. Restart to grow again.', '');
+      emit(gs, 'lifeComplete', { seeds: plant.seedsProduced || 0, days: gs.day });
     }
   }
 
@@ -690,19 +955,18 @@ function updateLifeCycle(gs) {
       gs.dormancyDepth = clamp(gs.dormancyDepth + 0.02, 0, targetDepth);
       if (!gs.dormant && gs.dormancyDepth > 0.5) {
         gs.dormant = true;
-        addLog(gs, 'The plant enters winter dormancy — metabolism slows to survive the cold.', '');
         if (seed.deciduous) {
           plant.leafMass = clamp(plant.leafMass * 0.15, 0, 100);
-          addLog(gs, 'Leaves shed for winter.', '');
         } else {
           plant.leafMass = clamp(plant.leafMass * 0.75, 0, 100);
         }
+        emit(gs, 'dormancyEnter', { leavesShed: !!seed.deciduous });
       }
     } else if (isSpring && gs.dormant) {
       gs.dormancyDepth = clamp(gs.dormancyDepth - 0.04, 0, 1);
       if (gs.dormancyDepth <= 0) {
         gs.dormant = false;
-        addLog(gs, 'Spring returns — the plant wakes from dormancy with a burst of growth!', 'good');
+        emit(gs, 'dormancyExit');
       }
     } else if (!isWinter) {
       gs.dormancyDepth = clamp(gs.dormancyDepth - 0.05, 0, 1);
@@ -736,7 +1000,7 @@ function updateCambium(gs) {
     plant.rootSpread     = clamp(plant.rootSpread     - 0.3, 0, 100);
     plant.rootStructural = clamp(plant.rootStructural - 0.2, 0, 100);
     if (phloemFlow < 0.1 && gs.tick % 60 === 0) {
-      addLog(gs, 'Phloem starvation — roots losing sugar supply from the canopy!', 'danger');
+      emit(gs, 'phloemStarvation', { phloemFlow });
     }
   }
 
@@ -760,16 +1024,17 @@ function updateMycorrhizae(gs) {
     gs.mycorrhizalColonisation = clamp(gs.mycorrhizalColonisation + colonRate, 0, 1.0);
 
     if (gs.mycorrhizalColonisation > 0.3 && gs.mycorrhizalColonisation - colonRate <= 0.3) {
-      addLog(gs, '🍄 Mycorrhizal fungi are colonising your roots — nutrient uptake improving!', 'good');
+      emit(gs, 'mycorrhizae', { stage: 'colonising' });
     }
     if (gs.mycorrhizalColonisation > 0.8 && gs.mycorrhizalColonisation - colonRate <= 0.8) {
-      addLog(gs, '🍄 Mycorrhizal network fully established — major phosphorus and water boost!', 'good');
+      emit(gs, 'mycorrhizae', { stage: 'established' });
     }
   }
 
   // Cost: sugar drain from roots (modelled as small energy tax)
   const sugarCost = gs.mycorrhizalColonisation * affinity * 0.05;
   gs.energy = clamp(gs.energy - sugarCost, 0, 100);
+  _budget(gs, 'energy', 'mycorrhizalTax', -sugarCost);
 
   // Benefit: bonus to phosphorus and water uptake (applied in computeResourceFlows via gs.mycorrhizalBonus)
   gs.mycorrhizalBonus = gs.mycorrhizalColonisation * affinity * network;
@@ -795,20 +1060,16 @@ function updateHerbivory(gs) {
   // Random chance of an herbivore event starting
   if (!gs.herbivoreEvent && leafTarget && gs.tick % 20 === 0) {
     const chance = 0.04 * susceptibility * seasonMod * (1 - defense * 0.6);
-    if (Math.random() < chance) {
+    if (random(gs) < chance) {
       gs.herbivoreEvent = true;
-      gs.herbivorePressure = 0.3 + Math.random() * 0.5;
+      gs.herbivorePressure = 0.3 + random(gs) * 0.5;
 
       // What kind of attack?
       const isInsect = plant.leafMass > 5;
-      const isGrazer = plant.trunkHeight > 15 && Math.random() < 0.3;
+      const isGrazer = plant.trunkHeight > 15 && random(gs) < 0.3;
 
-      if (isGrazer) {
-        addLog(gs, '🦌 A grazer is chewing on your trunk! Structural damage imminent.', 'danger');
-      } else {
-        addLog(gs, '🐛 Insects are devouring your leaves! Activate defense response?', 'danger');
-      }
       gs.herbivorePressure = isGrazer ? 0.8 : gs.herbivorePressure;
+      emit(gs, 'herbivoreAttack', { kind: isGrazer ? 'grazer' : 'insects', pressure: gs.herbivorePressure });
     }
   }
 
@@ -825,23 +1086,25 @@ function updateHerbivory(gs) {
       plant.trunkGirth = clamp(plant.trunkGirth - damage * 0.1, 0, 100);
       if (gs.herbivorePressure > 0.85 && !plant.scarredTrunk) {
         plant.scarredTrunk = true;
-        addLog(gs, '🦌 Deep trunk scarring — structural support permanently reduced!', 'danger');
+        emit(gs, 'trunkScarred');
       }
     }
 
     // Defense costs energy (producing tannins, resins, etc.)
     const defenseCost = defense * 0.15;
     gs.energy = clamp(gs.energy - defenseCost, 0, 100);
+    _budget(gs, 'energy', 'defense', -defenseCost);
 
     // Health impact
     gs.health = clamp(gs.health - damage * 0.3, 0, 100);
+    _healthTerm(gs, 'herbivory', -damage * 0.3);
 
     // Event wanes over time (herbivores move on, defense kicks in)
     gs.herbivorePressure = clamp(gs.herbivorePressure - 0.015, 0, 1.0);
     if (gs.herbivorePressure < 0.05) {
       gs.herbivoreEvent = false;
       gs.herbivorePressure = 0;
-      addLog(gs, '🌿 Herbivore threat has passed.', '');
+      emit(gs, 'herbivoreGone');
     }
   }
 }
@@ -859,7 +1122,7 @@ function updateWeatherEvents(gs) {
         // Suppress rainfall to near zero
         env.rainfall = clamp(env.rainfall * 0.3, 0, 0.05);
         if (gs.weatherEventTimer % 30 === 0) {
-          addLog(gs, '🏜️ Drought continues — rainfall almost zero.', 'danger');
+          emit(gs, 'weatherOngoing', { kind: 'drought', ticksLeft: gs.weatherEventTimer });
         }
         break;
       }
@@ -867,13 +1130,17 @@ function updateWeatherEvents(gs) {
         // Waterlogged soil: excess water but root oxygen depletion
         env.rainfall = Math.min(1, env.rainfall * 1.5 + 0.4);
         gs.water = Math.min(100, gs.water + 2);
-        // Root oxygen depletion — kills surface and structural roots slowly
+        _budget(gs, 'water', 'flood', 2);
+        gs.soilWater.topsoil = _layerCapacity(biome, 'topsoil');
+        // Root oxygen depletion — kills surface and structural roots slowly,
+        // faster in soils that drain poorly
         if (gs.tick % 10 === 0) {
-          plant.rootSpread     = clamp(plant.rootSpread     - 0.4, 0, 100);
-          plant.rootStructural = clamp(plant.rootStructural - 0.2, 0, 100);
+          const waterlog = 1 / soilTexture(biome).drainage;
+          plant.rootSpread     = clamp(plant.rootSpread     - 0.4 * waterlog, 0, 100);
+          plant.rootStructural = clamp(plant.rootStructural - 0.2 * waterlog, 0, 100);
         }
         if (gs.weatherEventTimer % 30 === 0) {
-          addLog(gs, '🌊 Flooding — roots starved of oxygen, structural roots dying.', 'danger');
+          emit(gs, 'weatherOngoing', { kind: 'flood', ticksLeft: gs.weatherEventTimer });
         }
         break;
       }
@@ -885,7 +1152,7 @@ function updateWeatherEvents(gs) {
           plant.leafMass     = clamp(plant.leafMass     - windStress * 1.2, 0, 100);
         }
         if (gs.weatherEventTimer % 20 === 0) {
-          addLog(gs, '🌪️ Storm battering the plant — branches and leaves tearing!', 'danger');
+          emit(gs, 'weatherOngoing', { kind: 'storm', ticksLeft: gs.weatherEventTimer });
         }
         break;
       }
@@ -895,7 +1162,7 @@ function updateWeatherEvents(gs) {
       const ended = gs.activeWeatherEvent;
       gs.activeWeatherEvent = null;
       gs.weatherEventTimer  = 0;
-      addLog(gs, `Weather event ended: ${ended} has passed.`, '');
+      emit(gs, 'weatherEnd', { kind: ended });
     }
     return;
   }
@@ -908,7 +1175,7 @@ function updateWeatherEvents(gs) {
 
   // Probability scales with how extreme the biome is
   const eventChance = 0.15;
-  if (Math.random() > eventChance) return;
+  if (random(gs) > eventChance) return;
 
   // Weight event types by biome
   const weights = {
@@ -917,7 +1184,7 @@ function updateWeatherEvents(gs) {
     storm:   Math.abs(biome.wind ?? 0) > 0.3 ? 0.4 : 0.20,
   };
   const total = weights.drought + weights.flood + weights.storm;
-  let r = Math.random() * total;
+  let r = random(gs) * total;
   let chosen = 'storm';
   for (const [type, w] of Object.entries(weights)) {
     r -= w;
@@ -925,31 +1192,227 @@ function updateWeatherEvents(gs) {
   }
 
   // Duration: 20-60 days in game ticks (x10)
-  const duration = (20 + Math.floor(Math.random() * 40)) * 10;
+  const duration = (20 + Math.floor(random(gs) * 40)) * 10;
   gs.activeWeatherEvent = chosen;
   gs.weatherEventTimer  = duration;
   gs.weatherEventLog    = gs.day;
 
-  const msgs = {
-    drought: '☀️ A severe drought has set in! Rainfall has dried up.',
-    flood:   '🌊 Heavy rains are causing flooding! Root systems at risk.',
-    storm:   '🌪️ A violent storm is hitting — structural roots will be tested!',
-  };
-  addLog(gs, msgs[chosen], 'danger');
+  emit(gs, 'weatherStart', { kind: chosen, days: duration / 10 });
 }
 
 
-// ── Helpers ───────────────────────────────────────────────
-export function addLog(gs, msg, type = '') {
-  gs.log.unshift({ day: gs.day, msg, type });
-  if (gs.log.length > 40) gs.log.pop();
+// ── Biology systems ───────────────────────────────────────
+// The optional systems above, in tick order (see systems.js). NPK nutrients
+// and temperature optima have no tick of their own — computeResourceFlows
+// and updateHealth check their flags.
+const pct = v => Math.round(v * 100) + '%';
+
+registerSystem({
+  id: 'stomata', setting: 'stomatalRegulation', order: 10,
+  label: 'Stomatal Regulation',
+  desc:  'Stomata open/close based on water stress. Affects CO₂ uptake and transpiration.',
+  state: () => ({
+    stomata: 1.0,   // 0=fully closed, 1=fully open (computed each tick)
+  }),
+  tick: updateStomata,
+  off:  gs => { gs.stomata = 1.0; },   // always open if disabled
+  stats: [{ id: 'stat-stomata', label: 'Stomata', value: gs => pct(gs.stomata) }],
+  presets: { easy: false },
+});
+
+registerSystem({
+  id: 'npk', setting: 'npkNutrients', order: 20,
+  label: 'NPK Nutrients',
+  desc:  'Nitrogen, Phosphorus and Potassium each have distinct effects on growth.',
+  presets: { easy: false },
+});
+
+registerSystem({
+  id: 'hydraulics', setting: 'hydraulicFailure', order: 30,
+  label: 'Hydraulic Failure',
+  desc:  'Severe drought causes xylem cavitation — permanent transport damage.',
+  state: () => ({
+    xylemIntegrity:   1.0,   // 0=fully embolized, 1=fully functional
+    cavitationEvents: 0,     // total cavitation events (for display)
+  }),
+  tick: updateHydraulics,
+  off:  gs => { gs.xylemIntegrity = 1.0; },   // no damage if disabled
+  stats: [{ id: 'stat-xylem', label: 'Xylem', value: gs => pct(gs.xylemIntegrity) }],
+  presets: { easy: false },
+});
+
+registerSystem({
+  id: 'tempOptima', setting: 'tempOptima', order: 40,
+  label: 'Temperature Optima',
+  desc:  'Photosynthesis peaks at each plant\'s optimal temperature; extremes cause enzyme failure.',
+  stats: [{ id: 'stat-tempeff', label: 'Temp Eff.', value: gs => {
+    const delta = gs.env.temperature - (gs.seed.tempOptimum ?? 22);
+    return pct(Math.max(0, Math.exp(-(delta * delta) / (2 * 8 * 8))));
+  } }],
+  presets: { easy: false },
+});
+
+registerSystem({
+  id: 'soilPatches', setting: 'soilPatches', order: 50,
+  label: 'Soil Patches',
+  desc:  'Water and nutrients sit in patches and rocks; roots drain the soil they grow through, which recovers slowly.',
+  state: () => ({
+    rootZone: 1,   // richness of the soil around the roots, 1 = average (see _drawDownCells)
+  }),
+  tick: updateSoilGrid,
+  stats: [{ id: 'stat-rootzone', label: 'Root Zone', value: gs => pct(gs.rootZone) }],
+  presets: { easy: false },
+});
+
+registerSystem({
+  id: 'flowering', setting: 'flowering', order: 110,
+  label: 'Flowering & Pollination',
+  desc:  'Plants flower seasonally and require pollination to produce seeds.',
+  state: () => ({
+    flowering: false,   // currently in flowering state
+  }),
+  tick: updateFlowering,
+  stats: [
+    { id: 'stat-flowers', label: 'Flowers', value: gs => gs.flowering
+      ? '🌸 Open'
+      : (gs.plant.flowerProgress > 0 ? Math.round(gs.plant.flowerProgress) + '%' : '—') },
+    { id: 'stat-seeds',   label: 'Seeds',   value: gs => gs.plant.seedsProduced || '—' },
+  ],
+});
+
+registerSystem({
+  id: 'lifeCycle', setting: 'lifeCycles', order: 120,
+  label: 'Life Cycles',
+  desc:  'Annuals die after seeding; perennials enter winter dormancy.',
+  state: () => ({
+    dormant:       false,   // currently in winter dormancy
+    dormancyDepth: 0.0,     // 0=active, 1=fully dormant
+    lifeComplete:  false,   // annual has completed its life cycle
+  }),
+  tick: updateLifeCycle,
+  stats: [{ id: 'stat-dormancy', label: 'Dormancy', value: gs => gs.dormant
+    ? '❄️ ' + pct(gs.dormancyDepth)
+    : (gs.dormancyDepth > 0.05 ? 'Waking…' : '—') }],
+  presets: { easy: false },
+});
+
+registerSystem({
+  id: 'cambium', setting: 'cambiumGrowth', order: 130,
+  label: 'Cambium Growth',
+  desc:  'Trunk adds growth rings each year; phloem starvation damages roots.',
+  tick: updateCambium,
+  stats: [
+    { id: 'stat-rings',  label: 'Growth Rings', value: gs => gs.plant.growthRings || '—' },
+    { id: 'stat-phloem', label: 'Phloem Flow',  value: gs => pct(Math.min(1, gs.plant.leafMass / 40)) },
+  ],
+  presets: { easy: false },
+});
+
+registerSystem({
+  id: 'mycorrhizae', setting: 'mycorrhizae', order: 140,
+  label: 'Mycorrhizal Network',
+  desc:  'Roots can form fungal symbiosis, trading sugar for enhanced nutrient uptake.',
+  state: () => ({
+    mycorrhizalColonisation: 0.0,  // 0-1: how established the fungal network is
+    mycorrhizalBonus:        0.0,  // current bonus to P and water uptake
+  }),
+  tick: updateMycorrhizae,
+  stats: [{ id: 'stat-myco', label: 'Mycorrhizae', value: gs => gs.mycorrhizalColonisation > 0
+    ? '🍄 ' + pct(gs.mycorrhizalColonisation)
+    : '—' }],
+  presets: { easy: false },
+});
+
+registerSystem({
+  id: 'herbivory', setting: 'herbivory', order: 150,
+  label: 'Herbivory',
+  desc:  'Insects eat leaves; grazers damage the trunk. Plants can invest in chemical or physical defenses.',
+  state: () => ({
+    herbivorePressure: 0.0,    // current grazing pressure (0-1)
+    herbivoreEvent:    false,  // currently under attack
+  }),
+  tick: updateHerbivory,
+  stats: [{ id: 'stat-herbivore', label: 'Herbivores', value: gs => gs.herbivoreEvent
+    ? '🐛 ' + pct(gs.herbivorePressure)
+    : '—' }],
+  presets: { easy: false },
+});
+
+registerSystem({
+  id: 'weather', setting: 'weatherEvents', order: 160,
+  label: 'Weather Events',
+  desc:  'Random drought, flood and windstorm events challenge the plant beyond normal seasonal cycles.',
+  state: () => ({
+    activeWeatherEvent: null,  // null | 'drought' | 'flood' | 'storm'
+    weatherEventTimer:  0,     // ticks remaining for current event
+    weatherEventLog:    0,     // last day a weather event was logged (debounce)
+  }),
+  tick: updateWeatherEvents,
+  stats: [{ id: 'stat-weather', label: 'Weather Event', value: gs => gs.activeWeatherEvent
+    ? '⚠️ ' + gs.activeWeatherEvent + ' (' + Math.round(gs.weatherEventTimer / 10) + 'd)'
+    : '—' }],
+  presets: { easy: false },
+});
+
+// ── Resource budget ───────────────────────────────────────
+// Every income (+) and expense (−) applied to a resource this tick, by term:
+// gs.budget.water = { rain: 0.8, transpiration: -0.5, … }. Amounts are what
+// each term asked for; the resource itself is clamped to 0–RESOURCE_MAX.
+export const BUDGET_RESOURCES = ['energy', 'water', 'nitrogen', 'phosphorus', 'potassium', 'o2', 'co2'];
+
+function _emptyBudget() {
+  const budget = {};
+  BUDGET_RESOURCES.forEach(r => { budget[r] = {}; });
+  return budget;
 }
 
-function vary(val, delta = 0.03) {
-  return val + (Math.random() - 0.5) * delta * 2;
+function _budget(gs, resource, term, amount) {
+  if (!amount) return;
+  const terms = gs.budget[resource];
+  terms[term] = (terms[term] ?? 0) + amount;
+}
+
+// ── Health diagnostics ────────────────────────────────────
+// gs.healthTerms records what moved health this tick, by cause (negative =
+// stress). gs.stressTrend keeps two running averages of those terms — about
+// a day and about a month — so the UI can tell a worsening cause from one
+// that is easing off.
+export const HEALTH_CAUSES = ['energy', 'water', 'nutrients', 'potassium', 'o2', 'temperature', 'herbivory', 'recovery'];
+
+const TREND_RATES = { day: 1 / 10, month: 1 / 300 };   // per tick
+
+function _healthTerm(gs, cause, amount) {
+  gs.healthTerms[cause] = (gs.healthTerms[cause] ?? 0) + amount;
+}
+
+function updateStressTrend(gs) {
+  for (const [window, rate] of Object.entries(TREND_RATES)) {
+    const avg = gs.stressTrend[window];
+    HEALTH_CAUSES.forEach(cause => {
+      const next = (avg[cause] ?? 0) + ((gs.healthTerms[cause] ?? 0) - (avg[cause] ?? 0)) * rate;
+      if (Math.abs(next) < 1e-4) delete avg[cause];
+      else avg[cause] = next;
+    });
+  }
+}
+
+// ── Helpers ───────────────────────────────────────────────
+// The log lives with the event bus; re-exported for existing callers
+export { addLog };
+
+// Draw from the run's seeded generator — never Math.random() in the simulation
+function random(gs) { return nextRandom(gs.rng); }
+
+function vary(gs, val, delta = 0.03) {
+  return val + (random(gs) - 0.5) * delta * 2;
 }
 
 function clamp(v, lo, hi) { return Math.max(lo, Math.min(hi, v)); }
+
+// A biome's soil texture (loam when its soilType is unknown)
+export function soilTexture(biome) {
+  return SOIL_TYPES[biome.soilType] ?? SOIL_TYPES.loam;
+}
 function lerp(a, b, t)    { return a + (b - a) * t; }
 
 // Bell curve temperature response — peaks at 1.0 at optimum, falls to 0 at extremes
@@ -1043,6 +1506,8 @@ export function commitPlacement(gs, candidate, type) {
   gs.plant.nodes.push(newNode);
   parent.children.push(newNode.id);
 
+  const before = _snapshotKeys(gs);
+
   // Update scalars so simulation formulas stay accurate
   if (type === 'trunk') {
     gs.plant.trunkHeight = clamp(gs.plant.trunkHeight + 8, 0, 100);
@@ -1052,7 +1517,7 @@ export function commitPlacement(gs, candidate, type) {
     gs.phosphorus = clamp(gs.phosphorus - 6, 0, 100);
     gs.nitrogen   = clamp(gs.nitrogen   - 4, 0, 100);
     gs.water     = clamp(gs.water     -  6, 0, 100);
-    addLog(gs, `Trunk segment placed (${candidate.label}).`, '');
+    emit(gs, 'placed', { kind: 'trunk', nodeId: newNode.id, label: candidate.label });
   }
   if (type === 'leaf') {
     gs.plant.leafMass    = clamp(gs.plant.leafMass    + 6,  0, 100);
@@ -1061,11 +1526,118 @@ export function commitPlacement(gs, candidate, type) {
     gs.water     = clamp(gs.water     -  5, 0, 100);
     gs.nitrogen  = clamp(gs.nitrogen  - 3, 0, 100);
     gs.potassium = clamp(gs.potassium - 1, 0, 100);
-    addLog(gs, `Leaf cluster placed (${candidate.label}).`, 'good');
+    emit(gs, 'placed', { kind: 'leaf', nodeId: newNode.id, label: candidate.label });
   }
 
+  // Remember exactly what changed (after clamping) so it can be undone today
+  const deltas  = _diffKeys(gs, before);
+  const history = gs.placementHistory;
+  history.undo.push({
+    day:    gs.day,
+    node:   { ...newNode, children: [] },
+    deltas,
+  });
+  _budgetPlacement(gs, deltas, 1);
+  history.redo = [];
+
   // Exit placement mode
   gs.placement.mode       = null;
   gs.placement.candidates = [];
   gs.placement.hoveredId  = null;
 }
+
+// ── Undo / redo placements ────────────────────────────────
+// Only placements made on the current game day can be taken back; the
+// stacks are pruned lazily whenever they are looked at.
+const PLACEMENT_KEYS = [
+  'plant.trunkHeight', 'plant.trunkGirth', 'plant.leafMass', 'plant.branchLength',
+  'energy', 'water', 'nitrogen', 'phosphorus', 'potassium',
+];
+
+export function canUndoPlacement(gs) {
+  _pruneHistory(gs);
+  return gs.placementHistory.undo.length > 0;
+}
+
+export function canRedoPlacement(gs) {
+  _pruneHistory(gs);
+  return gs.placementHistory.redo.length > 0;
+}
+
+export function undoPlacement(gs) {
+  if (!canUndoPlacement(gs)) return false;
+  const entry = gs.placementHistory.undo.pop();
+  const { node } = entry;
+
+  // Later placements sit on top of the stack, so this node has no children left
+  gs.plant.nodes = gs.plant.nodes.filter(n => n.id !== node.id);
+  const parent = gs.plant.nodes.find(n => n.id === node.parentId);
+  if (parent) parent.children = parent.children.filter(id => id !== node.id);
+  _applyDeltas(gs, entry.deltas, -1);
+
+  gs.placementHistory.redo.push(entry);
+  _refreshPlacement(gs);
+  emit(gs, 'placementUndone', { kind: node.type, nodeId: node.id });
+  return true;
+}
+
+export function redoPlacement(gs) {
+  if (!canRedoPlacement(gs)) return false;
+  const entry  = gs.placementHistory.redo.pop();
+  const parent = gs.plant.nodes.find(n => n.id === entry.node.parentId);
+  if (!parent) return false;
+
+  gs.plant.nodes.push({ ...entry.node, children: [] });
+  parent.children.push(entry.node.id);
+  _applyDeltas(gs, entry.deltas, 1);
+
+  gs.placementHistory.undo.push(entry);
+  _refreshPlacement(gs);
+  emit(gs, 'placementRedone', { kind: entry.node.type, nodeId: entry.node.id });
+  return true;
+}
+
+function _pruneHistory(gs) {
+  const h = gs.placementHistory;
+  h.undo = h.undo.filter(e => e.day === gs.day);
+  h.redo = h.redo.filter(e => e.day === gs.day);
+}
+
+function _snapshotKeys(gs) {
+  return PLACEMENT_KEYS.map(key => _getPath(gs, key));
+}
+
+function _diffKeys(gs, before) {
+  const deltas = {};
+  PLACEMENT_KEYS.forEach((key, i) => {
+    const d = _getPath(gs, key) - before[i];
+    if (d !== 0) deltas[key] = d;
+  });
+  return deltas;
+}
+
+function _applyDeltas(gs, deltas, sign) {
+  for (const [key, d] of Object.entries(deltas)) {
+    const [obj, prop] = key.startsWith('plant.') ? [gs.plant, key.slice(6)] : [gs, key];
+    obj[prop] = clamp(obj[prop] + sign * d, 0, 100);
+  }
+  _budgetPlacement(gs, deltas, sign);
+}
+
+function _budgetPlacement(gs, deltas, sign) {
+  for (const [key, d] of Object.entries(deltas)) {
+    if (key in gs.budget) _budget(gs, key, 'placement', sign * d);
+  }
+}
+
+function _getPath(gs, key) {
+  return key.startsWith('plant.') ? gs.plant[key.slice(6)] : gs[key];
+}
+
+// Candidates may point at a node that just disappeared
+function _refreshPlacement(gs) {
+  if (!gs.placement.mode) return;
+  gs.placement.candidates = computePlacementCandidates(gs, gs.placement.mode);
+  gs.placement.hoveredId  = null;
+  if (!gs.placement.candidates.length) gs.placement.mode = null;
+}
@@ -0,0 +1,168 @@
+// ============================================================
+// headless.js — Drive the simulation without a browser
+// ============================================================
+//
+// Only depends on data.js and gameState.js, so it runs unchanged under Node
+// (see tools/simulate.mjs) and in the page. A strategy is a plain object:
+//
+//   {
+//     name: 'my-strategy',
+//     setup(gs, api) { … },   // optional, once before the first tick
+//     tick(gs, api)  { … },   // before every tick: set gs.activeAction,
+//   }                         // gs.rootType, or place nodes through api
+
+import { BIOMES, SEEDS, ROOT_TYPES } from './data.js';
+import { DEFAULT_SETTINGS } from './systems.js';
+import { createGameState, simulateTick, addLog,
+         computePlacementCandidates, commitPlacement } from './gameState.js';
+import { subscribe } from './events.js';
+
+export const TICKS_PER_DAY = 10;
+
+// Handed to strategies so scripts never need to import game modules themselves
+export const STRATEGY_API = {
+  ROOT_TYPES,
+  computePlacementCandidates,
+  commitPlacement,
+};
+
+// Columns of the per-day time series, in output order
+export const SERIES_COLUMNS = [
+  'day', 'season', 'energy', 'water', 'nitrogen', 'phosphorus', 'potassium',
+  'o2', 'co2', 'health', 'stomata', 'xylemIntegrity', 'temperature',
+  'rootDepth', 'rootSpread', 'rootStructural', 'trunkHeight', 'branchLength',
+  'leafMass', 'nodes', 'seedsProduced', 'cavitationEvents',
+  'activeAction', 'rootType', 'weather', 'dormant',
+];
+
+/**
+ * Run one game to completion.
+ *   opts.biome / opts.seed   — ids or data objects
+ *   opts.settings            — biology flags (defaults to DEFAULT_SETTINGS)
+ *   opts.rngSeed             — world seed, for reproducible runs
+ *   opts.days                — stop after this many game days
+ *   opts.strategy            — see header comment
+ *   opts.onDay(row, gs)      — optional callback after each recorded day
+ *   opts.onEvent(event, gs)  — optional callback for every simulation event
+ *   opts.recordSeries        — set false to skip the per-day series (batch runs)
+ * Returns { gs, series, summary }.
+ */
+export function runGame(opts) {
+  const biome = typeof opts.biome === 'string' ? BIOMES[opts.biome] : opts.biome;
+  const seed  = typeof opts.seed  === 'string' ? SEEDS[opts.seed]   : opts.seed;
+  if (!biome) throw new Error(`Unknown biome "${opts.biome}".`);
+  if (!seed)  throw new Error(`Unknown seed "${opts.seed}".`);
+
+  const days     = opts.days ?? 360;
+  const strategy = opts.strategy ?? {};
+  const gs       = createGameState(biome, seed, { ...DEFAULT_SETTINGS, ...opts.settings }, opts.rngSeed);
+  gs.paused = false;
+  addLog(gs, `A ${seed.name} seed settles into ${biome.name} soil.`, 'good');
+  if (opts.onEvent) subscribe(gs, '*', opts.onEvent);
+
+  const tracker = _createTracker();
+  const series  = [];
+  const record  = opts.recordSeries !== false;
+
+  strategy.setup?.(gs, STRATEGY_API);
+
+  while (gs.day <= days && !gs.lifeComplete) {
+    strategy.tick?.(gs, STRATEGY_API);
+    simulateTick(gs);
+    tracker.observe(gs);
+
+    if (gs.tick % TICKS_PER_DAY === 0) {
+      const row = sampleRow(gs);
+      if (record) series.push(row);
+      opts.onDay?.(row, gs);
+    }
+  }
+
+  return { gs, series, summary: summarise(gs, tracker, strategy) };
+}
+
+export function sampleRow(gs) {
+  const p = gs.plant;
+  return {
+    day:              Math.floor(gs.tick / TICKS_PER_DAY),   // days completed
+    season:           gs.season,
+    energy:           _round(gs.energy),
+    water:            _round(gs.water),
+    nitrogen:         _round(gs.nitrogen),
+    phosphorus:       _round(gs.phosphorus),
+    potassium:        _round(gs.potassium),
+    o2:               _round(gs.o2),
+    co2:              _round(gs.co2),
+    health:           _round(gs.health),
+    stomata:          _round(gs.stomata, 3),
+    xylemIntegrity:   _round(gs.xylemIntegrity, 3),
+    temperature:      _round(gs.env.temperature),
+    rootDepth:        _round(p.rootDepth),
+    rootSpread:       _round(p.rootSpread),
+    rootStructural:   _round(p.rootStructural),
+    trunkHeight:      _round(p.trunkHeight),
+    branchLength:     _round(p.branchLength),
+    leafMass:         _round(p.leafMass),
+    nodes:            p.nodes.length,
+    seedsProduced:    p.seedsProduced,
+    cavitationEvents: gs.cavitationEvents,
+    activeAction:     gs.activeAction ?? '',
+    rootType:         gs.rootType,
+    weather:          gs.activeWeatherEvent ?? '',
+    dormant:          gs.dormant,
+  };
+}
+
+function summarise(gs, tracker, strategy) {
+  return {
+    biome:            gs.biome.id,
+    seed:             gs.seed.id,
+    rngSeed:          gs.rng.seed,
+    strategy:         strategy.name ?? 'none',
+    days:             Math.floor(gs.tick / TICKS_PER_DAY),
+    lifeComplete:     gs.lifeComplete,
+    survived:         tracker.minHealth > 0,
+    minHealth:        _round(tracker.minHealth),
+    finalHealth:      _round(gs.health),
+    finalEnergy:      _round(gs.energy),
+    finalWater:       _round(gs.water),
+    trunkUnlockDay:   tracker.unlockDay.trunk,
+    branchUnlockDay:  tracker.unlockDay.branches,
+    leafUnlockDay:    tracker.unlockDay.leaves,
+    seedsProduced:    gs.plant.seedsProduced,
+    cavitationEvents: gs.cavitationEvents,
+    trunkHeight:      _round(gs.plant.trunkHeight),
+    leafMass:         _round(gs.plant.leafMass),
+    nodes:            gs.plant.nodes.length,
+  };
+}
+
+// Watches per-tick state the final snapshot can't tell us about
+function _createTracker() {
+  return {
+    minHealth: Infinity,
+    unlockDay: { trunk: null, branches: null, leaves: null },
+    observe(gs) {
+      this.minHealth = Math.min(this.minHealth, gs.health);
+      for (const key of Object.keys(this.unlockDay)) {
+        if (this.unlockDay[key] === null && gs.unlocked[key]) this.unlockDay[key] = gs.day;
+      }
+    },
+  };
+}
+
+// ── Output formats ────────────────────────────────────────
+export function seriesToCSV(series, columns = SERIES_COLUMNS) {
+  const cell = v => {
+    const s = String(v ?? '');
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const lines = [columns.join(',')];
+  series.forEach(row => lines.push(columns.map(c => cell(row[c])).join(',')));
+  return lines.join('\n') + '\n';
+}
+
+function _round(v, places = 2) {
+  const f = 10 ** places;
+  return Math.round(v * f) / f;
+}
@@ -0,0 +1,134 @@
+// ============================================================
+// history.js — Per-tick resource history in a fixed ring buffer
+// ============================================================
+//
+// Samples every metric after each tick into typed arrays, so memory stays
+// fixed however long the run is: the default capacity holds ten years of
+// ticks and older samples are overwritten. Weather and herbivore activity
+// are kept alongside so charts can shade the time axis.
+
+// Colours follow the resource bars (see --*-col in styles.css)
+export const HISTORY_METRICS = [
+  { key: 'energy',      label: 'Energy',  col: '#f0c040', get: gs => gs.energy },
+  { key: 'water',       label: 'Water',   col: '#4fc3f7', get: gs => gs.water },
+  { key: 'nitrogen',    label: 'N',       col: '#ffb74d', get: gs => gs.nitrogen },
+  { key: 'phosphorus',  label: 'P',       col: '#c0784a', get: gs => gs.phosphorus },
+  { key: 'potassium',   label: 'K',       col: '#c0b040', get: gs => gs.potassium },
+  { key: 'o2',          label: 'O₂',      col: '#81c784', get: gs => gs.o2 },
+  { key: 'co2',         label: 'CO₂',     col: '#ce93d8', get: gs => gs.co2 },
+  { key: 'health',      label: 'Health',  col: '#ef9a9a', get: gs => gs.health },
+  { key: 'stomata',     label: 'Stomata', col: '#80cbc4', get: gs => gs.stomata * 100 },
+  { key: 'xylem',       label: 'Xylem',   col: '#58a6ff', get: gs => gs.xylemIntegrity * 100 },
+  // Plotted against its own °C axis rather than 0–100
+  { key: 'temperature', label: 'Temp °C', col: '#ff8a65', get: gs => gs.env.temperature, range: [-20, 50] },
+];
+
+export const WEATHER_CODES = { drought: 1, flood: 2, storm: 3 };
+
+const DEFAULT_CAPACITY = 36000;   // ticks — ten 360-day years
+
+// One tick's values, in HISTORY_METRICS order
+export function sampleHistory(gs) {
+  return {
+    tick:      gs.tick,
+    values:    HISTORY_METRICS.map(m => m.get(gs)),
+    weather:   WEATHER_CODES[gs.activeWeatherEvent] ?? 0,
+    herbivore: gs.herbivoreEvent ? 1 : 0,
+  };
+}
+
+export class ResourceHistory {
+  constructor(capacity = DEFAULT_CAPACITY) {
+    this.capacity  = capacity;
+    this.series    = {};
+    HISTORY_METRICS.forEach(m => { this.series[m.key] = new Float32Array(capacity); });
+    this.ticks     = new Uint32Array(capacity);
+    this.weather   = new Uint8Array(capacity);   // WEATHER_CODES, 0 = calm
+    this.herbivore = new Uint8Array(capacity);   // 1 while under attack
+    this.clear();
+  }
+
+  clear() {
+    this.start  = 0;   // index of the oldest sample
+    this.length = 0;
+  }
+
+  get firstTick() { return this.length ? this.ticks[this.start] : 0; }
+  get lastTick()  { return this.length ? this.ticks[this._index(this.length - 1)] : 0; }
+
+  record(gs) {
+    this.push(sampleHistory(gs));
+  }
+
+  // Append a sampleHistory() taken elsewhere (the simulation host sends them)
+  push(sample) {
+    // A rewound game records over the abandoned future
+    if (this.length && sample.tick <= this.lastTick) this.truncate(sample.tick - 1);
+
+    let i;
+    if (this.length < this.capacity) {
+      i = this._index(this.length++);
+    } else {
+      i = this.start;
+      this.start = (this.start + 1) % this.capacity;
+    }
+    HISTORY_METRICS.forEach((m, k) => { this.series[m.key][i] = sample.values[k]; });
+    this.ticks[i]     = sample.tick;
+    this.weather[i]   = sample.weather;
+    this.herbivore[i] = sample.herbivore;
+  }
+
+  // Drop every sample after `tick`
+  truncate(tick) {
+    while (this.length && this.ticks[this._index(this.length - 1)] > tick) this.length--;
+  }
+
+  /**
+   * Samples with fromTick ≤ tick ≤ toTick, bucketed into at most `buckets`
+   * points (mean per bucket; weather/herbivore take the bucket's maximum).
+   * Returns [{ tick, values: { key: n }, weather, herbivore }].
+   */
+  range(fromTick, toTick, buckets = Infinity) {
+    const first = this._search(fromTick);
+    let last = this._search(toTick + 1) - 1;
+    if (last < first) return [];
+
+    const count = last - first + 1;
+    const per   = Math.max(1, Math.ceil(count / buckets));
+    const out   = [];
+    for (let b = first; b <= last; b += per) {
+      const end = Math.min(last, b + per - 1);
+      const n   = end - b + 1;
+      const values = {};
+      for (const m of HISTORY_METRICS) {
+        const arr = this.series[m.key];
+        let sum = 0;
+        for (let j = b; j <= end; j++) sum += arr[(this.start + j) % this.capacity];
+        values[m.key] = sum / n;
+      }
+      let weather = 0, herbivore = 0;
+      for (let j = b; j <= end; j++) {
+        const i = (this.start + j) % this.capacity;
+        if (this.weather[i]   > weather)   weather   = this.weather[i];
+        if (this.herbivore[i] > herbivore) herbivore = this.herbivore[i];
+      }
+      out.push({ tick: this.ticks[this._index(b)], values, weather, herbivore });
+    }
+    return out;
+  }
+
+  _index(j) {
+    return (this.start + j) % this.capacity;
+  }
+
+  // First logical position whose tick is ≥ `tick` (ticks are increasing)
+  _search(tick) {
+    let lo = 0, hi = this.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.ticks[this._index(mid)] < tick) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+}
@@ -0,0 +1,87 @@
+// ============================================================
+// inputs.js — Player input recording
+// ============================================================
+//
+// Everything the player does to the simulation goes through dispatchInput(),
+// which applies it and appends it to gs.inputs. Inputs are compact tuples
+//
+//   [tick, type, value]
+//
+// where `tick` is gs.tick when the input happened (i.e. before the next
+// simulateTick). Re-applying the same inputs at the same ticks to a fresh
+// game with the same biome, seed, settings and RNG seed reproduces the run.
+
+import { ROOT_TYPES } from './data.js';
+import { computePlacementCandidates, commitPlacement,
+         undoPlacement, redoPlacement } from './gameState.js';
+import { emit } from './events.js';
+
+export const ACTIONS = ['roots', 'trunk', 'branches', 'leaves'];
+
+export const INPUT = {
+  ACTION:     'a',   // value: 'roots' | 'trunk' | 'branches' | 'leaves' | null
+  ROOT_TYPE:  'r',   // value: ROOT_TYPES id
+  PLACE_MODE: 'p',   // value: 'trunk' | 'leaf' — enter placement mode
+  PLACE:      'c',   // value: candidate id to commit
+  UNDO:       'u',   // value: null — take back today's last placement
+  REDO:       'y',   // value: null
+  SPEED:      's',   // value: speed (-1 = paused) — pacing only, no sim effect
+  AUTOPILOT:  'o',   // value: { personality, reason } — journal note, no sim effect
+};
+
+/** Apply an input and record it. Returns false (and records nothing) if it had no effect. */
+export function dispatchInput(gs, type, value) {
+  const input = [gs.tick, type, value];
+  if (!applyInput(gs, input)) return false;
+  gs.inputs.push(input);
+  return true;
+}
+
+/** Apply a recorded input without recording it again (used by replays). */
+export function applyInput(gs, [, type, value]) {
+  switch (type) {
+    case INPUT.ACTION:
+      if (value !== null && !ACTIONS.includes(value)) return false;
+      gs.activeAction = value;
+      return true;
+
+    case INPUT.ROOT_TYPE:
+      if (!(value in ROOT_TYPES)) return false;
+      gs.rootType = value;
+      return true;
+
+    case INPUT.PLACE_MODE: {
+      const candidates = computePlacementCandidates(gs, value);
+      if (!candidates.length) return false;
+      gs.placement.mode       = value;
+      gs.placement.candidates = candidates;
+      gs.placement.hoveredId  = null;
+      gs.activeAction         = null;  // pause auto-growth
+      return true;
+    }
+
+    case INPUT.PLACE: {
+      const candidate = gs.placement.candidates.find(c => c.id === value);
+      if (!gs.placement.mode || !candidate) return false;
+      commitPlacement(gs, candidate, gs.placement.mode);
+      return true;
+    }
+
+    case INPUT.UNDO:
+      return undoPlacement(gs);
+
+    case INPUT.REDO:
+      return redoPlacement(gs);
+
+    case INPUT.SPEED:
+      return true;
+
+    case INPUT.AUTOPILOT:
+      if (typeof value?.reason !== 'string') return false;
+      emit(gs, 'autopilot', value);
+      return true;
+
+    default:
+      throw new Error(`Unknown input type "${type}".`);
+  }
+}
@@ -0,0 +1,57 @@
+// ============================================================
+// journal.js — Querying the full growth journal
+// ============================================================
+//
+// gs.journal holds every log line of the run, oldest first:
+//
+//   { tick, day, msg, type, subsystem, event? }
+//
+// `type` is the styling level ('good' | 'warn' | 'danger' | '' for info),
+// `subsystem` comes from the event that produced the line, or 'game' for
+// messages such as saves and imports.
+
+import { EVENT_TYPES } from './events.js';
+
+export const JOURNAL_LEVELS = ['good', 'warn', 'danger', ''];
+
+export const JOURNAL_SUBSYSTEMS = [
+  ...new Set(Object.values(EVENT_TYPES).map(def => def.subsystem)),
+  'game',
+];
+
+export const JOURNAL_PAGE_SIZE = 50;
+
+// Same calendar as simulateTick: 360-day years of four 90-day seasons
+export function seasonOfDay(day) { return Math.floor((day % 360) / 90); }
+export function yearOfDay(day)   { return Math.floor(day / 360) + 1; }
+
+/**
+ * Filter the journal, newest first. Every filter is optional:
+ *   { type, subsystem, season, year, text, page, pageSize }
+ * Returns { entries, total, page, pages }.
+ */
+export function queryJournal(journal, filters = {}) {
+  const { type, subsystem, season, year } = filters;
+  const text     = filters.text?.trim().toLowerCase() ?? '';
+  const pageSize = filters.pageSize ?? JOURNAL_PAGE_SIZE;
+
+  const matches = [];
+  for (let i = journal.length - 1; i >= 0; i--) {
+    const e = journal[i];
+    if (type      != null && e.type !== type)                 continue;
+    if (subsystem != null && e.subsystem !== subsystem)       continue;
+    if (season    != null && seasonOfDay(e.day) !== season)   continue;
+    if (year      != null && yearOfDay(e.day) !== year)       continue;
+    if (text && !e.msg.toLowerCase().includes(text))          continue;
+    matches.push(e);
+  }
+
+  const pages = Math.max(1, Math.ceil(matches.length / pageSize));
+  const page  = Math.min(Math.max(0, filters.page ?? 0), pages - 1);
+  return {
+    entries: matches.slice(page * pageSize, (page + 1) * pageSize),
+    total:   matches.length,
+    page,
+    pages,
+  };
+}
@@ -1,24 +1,43 @@
 // ============================================================
-// main.js — Game controller and loop
+// main.js — Game controller
 // ============================================================
+//
+// The simulation runs in a SimulationHost (simHost.js), normally inside a
+// Web Worker. This controller sends it the player's commands and keeps
+// `gs` as a read-only mirror of the latest snapshot, which the renderer and
+// UI draw from once per animation frame.
 
-import { BIOMES, SEEDS, TICK_MS_BASE } from './data.js';
-import { createGameState, simulateTick, addLog,
-         computePlacementCandidates, commitPlacement } from './gameState.js';
+import { createGameState, computePlacementCandidates, addLog } from './gameState.js';
 import { PlantRenderer } from './renderer.js';
 import { UI } from './ui.js';
+import { saveGame, loadGame, exportGameJSON, exportFileName, importGameJSON, serializeGame } from './save.js';
+import { INPUT } from './inputs.js';
+import { ReplayPlayer, isReplay, replayToJSON, replayFileName } from './replay.js';
+import { ResourceHistory } from './history.js';
+import { connectSimulation } from './simHost.js';
+import { loadBundledPacks, loadPackJSON, isPack, LOADED_PACKS } from './packs.js';
+import { loadCustomContent } from './custom.js';
 
 class PlantGame {
   constructor() {
-    this.gs             = null;
+    this.gs             = null;   // latest snapshot of the live game
     this.selectedBiome  = null;
     this.selectedSeed   = null;
     this.renderer       = null;
     this.ui             = null;
-    this._loopHandle    = null;
-    this._lastTick      = 0;
-    this._speed         = 0;
-
+    this.replay         = null;   // { progress } while a replay is playing back
+    this.timeline       = { days: [], size: 0 };   // kept snapshot days, from the host
+    this.history        = new ResourceHistory();
+    this.autopilot      = null;   // PERSONALITIES id while the autopilot plays
+    this._preview       = null;   // earlier state shown instead of the live game
+    this._forecast      = { key: null, rows: null };
+    this._hoveredId     = null;   // placement candidate under the pointer
+    this._biome         = null;   // definitions the snapshots are attached to
+    this._seed          = null;
+    this._frame         = null;
+    this._packsSent     = 0;      // LOADED_PACKS already forwarded to the host
+
+    this.sim = connectSimulation(msg => this._receive(msg));
     this._init();
   }
 
@@ -28,6 +47,7 @@ class PlantGame {
       this._startGame();
     });
     this._showScreen('screen-start');
+    this._loadContent();
   }
 
   // ── Screen management ─────────────────────────────────────
@@ -43,52 +63,325 @@ class PlantGame {
       return;
     }
 
-    this.gs = createGameState(this.selectedBiome, this.selectedSeed, { ...this.ui.settings });
-    addLog(this.gs, `A ${this.selectedSeed.name} seed settles into ${this.selectedBiome.name} soil.`, 'good');
-    addLog(this.gs, 'Grow roots first to gather water and anchor yourself.', '');
+    const gs = createGameState(this.selectedBiome, this.selectedSeed, { ...this.ui.settings }, this.ui.getRngSeed());
+    addLog(gs, `A ${this.selectedSeed.name} seed settles into ${this.selectedBiome.name} soil.`, 'good');
+    addLog(gs, 'Grow roots first to gather water and anchor yourself.', '');
+    this._load(gs);
+  }
 
-    const canvas = document.getElementById('plant-canvas');
-    this.renderer = new PlantRenderer(canvas);
+  // Hand a game to the simulation host; it answers with a 'new' snapshot
+  _load(gs) {
+    this.replay        = null;
+    this.selectedBiome = this._biome = gs.biome;
+    this.selectedSeed  = this._seed  = gs.seed;
+    this.sim.send({ cmd: 'load', save: serializeGame(gs), biome: gs.biome, seed: gs.seed });
+  }
 
-    // Wire canvas interaction
-    canvas.addEventListener('click',     e => this._handleCanvasClick(e));
-    canvas.addEventListener('mousemove', e => this._handleCanvasMouseMove(e));
+  // Shared by new games, loaded saves, replays and rewinds
+  _enterGame(gs) {
+    this._preview = null;
+    this.ui.updateSkip(null, gs);
+    this.ui.updateReplayBadge(this.replay);
 
-    this.ui.updateBiomeLabel(this.gs);
-    this.ui.updateActionButtons(this.gs);
+    if (!this.renderer) {
+      const canvas = document.getElementById('plant-canvas');
+      this.renderer = new PlantRenderer(canvas);
+
+      // Wire canvas interaction
+      canvas.addEventListener('click',     e => this._handleCanvasClick(e));
+      canvas.addEventListener('mousemove', e => this._handleCanvasMouseMove(e));
+    }
+
+    this.ui.updateBiomeLabel(gs);
+    this.ui.updateSoilMapAvailable(gs);
     this.ui.setSpeedActive(-1);
-    this.ui._selectRootType('surface');
+    this.ui._selectRootType(gs.rootType);
+    document.getElementById('root-panel').style.display = gs.activeAction === 'roots' ? 'block' : 'none';
 
     this._showScreen('screen-game');
-    this.renderer.render(this.gs);
-    this.gs.paused = true;
-    this._lifecompleteShown = false;
+  }
+
+  // ── Simulation messages ───────────────────────────────────
+  _receive(msg) {
+    switch (msg.type) {
+      case 'snapshot':
+        this._applySnapshot(msg);
+        break;
+      case 'event':
+        if (this.gs) this.ui.notify(msg.event, this.gs);
+        break;
+      case 'skip':
+        if (this.gs) this.ui.updateSkip(msg.skip, this.gs, msg.reason);
+        break;
+      case 'preview':
+        if (msg.state) this._showPreview(this._attach(msg.state, [], []), msg);
+        break;
+      case 'forecast':
+        if (msg.key !== this._forecast.key) break;
+        this._forecast.rows = msg.rows;
+        this.ui.updateForecast(msg.rows);
+        break;
+      case 'error':
+        this.ui.notifyError(msg.message);
+        break;
+    }
+  }
+
+  _applySnapshot(msg) {
+    const prev = msg.reset ? null : this.gs;
+    // Journal and inputs only ever grow between resets, so only new entries are sent
+    const journal = prev ? prev.journal : [];
+    const inputs  = prev ? prev.inputs  : [];
+    msg.journal.forEach(e => journal.push(e));
+    msg.inputs.forEach(i => inputs.push(i));
+    const gs = this._attach(msg.state, journal, inputs);
+
+    if (msg.reset === 'new')    this.history.clear();
+    if (msg.reset === 'rewind') this.history.truncate(gs.tick);
+    msg.samples.forEach(s => this.history.push(s));
+    this.timeline = msg.timeline;
+    this.replay   = msg.replay;
+    if (gs.placement.mode) gs.placement.hoveredId = this._hoveredId;
+
+    this.gs = gs;
+    if (msg.reset) this._enterGame(gs);
+    this._requestRender();
+  }
+
+  _attach(state, journal, inputs) {
+    return Object.assign(state, { biome: this._biome, seed: this._seed, journal, inputs });
+  }
+
+  // Draw at most once per animation frame, however many snapshots arrive
+  _requestRender() {
+    this._frame ??= requestAnimationFrame(() => {
+      this._frame = null;
+      this._updateUI();
+    });
+  }
+
+  // Player commands that change the simulation; ignored during replays and previews
+  sendInput(type, value) {
+    if (!this.gs || this.replay || this._preview) return;
+    this.sim.send({ cmd: 'input', type, value });
+  }
+
+  // Journal lines from the page (saves, hints) are written by the host too
+  log(msg, level = '') {
+    this.sim.send({ cmd: 'log', msg, level });
+  }
+
+  // ── Save / load ───────────────────────────────────────────
+  saveCurrentGame() {
+    const gs = this.gs;
+    if (!gs) return;
+    const name = prompt('Save slot name:', `${gs.seed.name} · ${gs.biome.name} · Day ${gs.day}`);
+    if (!name) return;
+    try {
+      saveGame(name.trim(), gs);
+      this.log(`Game saved as "${name.trim()}".`, 'good');
+    } catch (err) {
+      this.log(`Save failed: ${err.message}`, 'danger');
+    }
+  }
+
+  exportCurrentGame() {
+    const gs = this.gs;
+    if (!gs) return;
+    this.download(exportGameJSON(gs), exportFileName(gs));
+  }
+
+  exportCurrentReplay() {
+    const gs = this.gs;
+    if (!gs) return;
+    this.download(replayToJSON(gs), replayFileName(gs));
+  }
+
+  download(text, fileName) {
+    const blob = new Blob([text], { type: 'application/json' });
+    const url  = URL.createObjectURL(blob);
+    const a    = document.createElement('a');
+    a.href     = url;
+    a.download = fileName;
+    a.click();
+    // Revoked once the browser has had a chance to start reading the blob
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    this.log(`Exported ${fileName}.`);
+  }
+
+  importGameFile(text, fileName) {
+    let data = null;
+    try { data = JSON.parse(text); } catch { /* importGameJSON reports it below */ }
+    if (isReplay(data)) {
+      this.startReplay(data, fileName);
+      return;
+    }
+    if (isPack(data)) {
+      this.loadContentPack(text, fileName);
+      return;
+    }
+
+    let gs;
+    try {
+      gs = importGameJSON(text);
+    } catch (err) {
+      this.ui.showImportErrors((err.errors ?? [err.message]).map(e => `${fileName} → ${e}`));
+      return;
+    }
+    this.ui.showImportErrors([]);
+    addLog(gs, `Imported ${fileName}.`, '');
+    this._load(gs);
+  }
+
+  // ── Content packs ─────────────────────────────────────────
+  // Bundled packs first: custom biomes and species may build on them
+  async _loadContent() {
+    const bundled = await loadBundledPacks();
+    this._forwardPacks();
+    const custom = loadCustomContent();
+    if (custom.pack) this.sim.send({ cmd: 'pack', pack: custom.pack });
+    if (bundled.loaded.length || custom.pack || bundled.errors.length || custom.errors.length) {
+      this.ui.showImportErrors([...bundled.errors, ...custom.errors]);
+      this.ui.updateContent();
+    }
+  }
+
+  loadContentPack(text, fileName) {
+    try {
+      loadPackJSON(text, fileName);
+    } catch (err) {
+      this.ui.showImportErrors((err.errors ?? [err.message]).map(e => `${fileName} → ${e}`));
+      return;
+    }
+    this._packsChanged();
+  }
+
+  _packsChanged() {
+    this._forwardPacks();
+    this.ui.showImportErrors([]);
+    this.ui.updateContent();
+  }
+
+  // The host keeps its own copy of the tables, so new packs are forwarded
+  _forwardPacks() {
+    LOADED_PACKS.slice(this._packsSent).forEach(p => this.sim.send({ cmd: 'pack', pack: p.pack }));
+    this._packsSent = LOADED_PACKS.length;
+  }
+
+  customBiomeSaved(biome, pack) {
+    this.sim.send({ cmd: 'pack', pack });
+    this.ui.updateContent();
+    this.ui.selectBiomeById(biome.id);
+  }
+
+  customSeedSaved(seed, pack) {
+    this.sim.send({ cmd: 'pack', pack });
+    this.ui.updateSpecies(seed.id);
+  }
+
+  // ── Replay ────────────────────────────────────────────────
+  // Plays a recorded run back through the normal renderer. Player input is
+  // ignored until the recording ends, then the game is handed over as-is.
+  startReplay(data, fileName) {
+    let player;
+    try {
+      player = new ReplayPlayer(data);   // validates before the host sees it
+    } catch (err) {
+      this.ui.showImportErrors((err.errors ?? [err.message]).map(e => `${fileName} → ${e}`));
+      return;
+    }
+    this.ui.showImportErrors([]);
+    this.selectedBiome = this._biome = player.gs.biome;
+    this.selectedSeed  = this._seed  = player.gs.seed;
+    this.sim.send({
+      cmd:    'replay',
+      replay: data,
+      note:   `Replaying ${fileName} — ${Math.ceil(data.ticks / 10)} days, ${data.inputs.length} inputs.`,
+    });
+  }
+
+  // ── Timeline ──────────────────────────────────────────────
+  previewTimeline(index) {
+    if (!this.gs) return;
+    const day = this.timeline.days[index];
+    if (day === undefined) {
+      this._preview = null;
+      this._updateUI();
+      return;
+    }
+    this._requestPreview(day, false);
+  }
+
+  // Used by the journal's day links — any day of the run, not just kept snapshots
+  jumpToDay(day) {
+    if (!this.gs) return;
+    this._requestPreview(day, true);
+  }
+
+  // Pauses a running game once, not on every scrubber step: each pause is a
+  // recorded input. The local copy is marked paused straight away so steps
+  // that arrive before the next snapshot do not pause again.
+  _requestPreview(day, exact) {
+    if (!this.gs.paused) {
+      this.setSpeed(-1);
+      this.gs.paused = true;
+    }
+    this.sim.send({ cmd: 'preview', day, exact });
+  }
+
+  // `request` is the { day, exact } it was built from, kept for rewinding
+  _showPreview(preview, request) {
+    this._preview = preview;
+    this._previewRequest = { day: request.day, exact: request.exact };
+    this.renderer.render(preview);
+    this.ui.updateResourceBars(preview);
+    this.ui.updateStats(preview);
+    this.ui.updateTimeline(this.timeline, this.gs, preview);
+  }
+
+  // Abandon everything after the previewed day and carry on from there
+  rewindToPreview() {
+    if (!this._preview) return;
+    this.sim.send({ cmd: 'rewind', ...this._previewRequest });
+  }
+
+  loadSavedGame(name) {
+    let gs;
+    try {
+      gs = loadGame(name);
+    } catch (err) {
+      alert(`Could not load "${name}": ${err.message}`);
+      return;
+    }
+    addLog(gs, `Loaded saved game "${name}".`, '');
+    this._load(gs);
   }
 
   // ── Placement mode ────────────────────────────────────────
   enterPlacementMode(type) {
     const gs = this.gs;
-    if (!gs) return;
+    if (!gs || this.replay) return;
 
-    const candidates = computePlacementCandidates(gs, type);
-    if (!candidates.length) {
-      addLog(gs, `No valid spots to place a ${type} right now.`, 'warn');
+    if (!computePlacementCandidates(gs, type).length) {
+      this.log(`No valid spots to place a ${type} right now.`, 'warn');
       return;
     }
 
-    gs.placement.mode       = type;
-    gs.placement.candidates = candidates;
-    gs.placement.hoveredId  = null;
-    gs.activeAction         = null;  // pause auto-growth
+    this.sendInput(INPUT.PLACE_MODE, type);
+    this.log(`Click a glowing spot to place a ${type} segment.`);
+  }
+
+  undoLastPlacement() {
+    this.sendInput(INPUT.UNDO, null);
+  }
 
-    addLog(gs, `Click a glowing spot to place a ${type} segment.`, '');
-    this.ui.updateActionButtons(gs);
-    this.renderer.render(gs);
+  redoLastPlacement() {
+    this.sendInput(INPUT.REDO, null);
   }
 
   _handleCanvasClick(e) {
     const gs = this.gs;
-    if (!gs || !gs.placement.mode) return;
+    if (!gs || !gs.placement.mode || this.replay || this._preview) return;
 
     const rect   = this.renderer.canvas.getBoundingClientRect();
     const scaleX = this.renderer.canvas.width  / rect.width;
@@ -106,15 +399,12 @@ class PlantGame {
       if (dist < HIT && dist < bestDist) { best = c; bestDist = dist; }
     }
 
-    if (best) {
-      commitPlacement(gs, best, gs.placement.mode);
-      this._updateUI();
-    }
+    if (best) this.sendInput(INPUT.PLACE, best.id);
   }
 
   _handleCanvasMouseMove(e) {
     const gs = this.gs;
-    if (!gs || !gs.placement.mode) {
+    if (!gs || !gs.placement.mode || this._preview) {
       if (this.renderer) this.renderer.canvas.style.cursor = 'default';
       return;
     }
@@ -136,65 +426,86 @@ class PlantGame {
 
     this.renderer.canvas.style.cursor = hovered ? 'pointer' : 'crosshair';
 
+    // Hover is page-only state, re-applied to every snapshot
+    this._hoveredId = hovered;
     if (gs.placement.hoveredId !== hovered) {
       gs.placement.hoveredId = hovered;
       this.renderer.render(gs);  // re-render to update highlight without a tick
     }
   }
 
-  // ── Game loop ─────────────────────────────────────────────
+  // ── Speed, skip-ahead and autopilot ───────────────────────
   setSpeed(speed) {
-    this._speed = speed;
     if (!this.gs) return;
-
-    if (speed === -1) {
-      this.gs.paused = true;
-      this.gs.speed  = 0;
-      this.ui.setSpeedActive(-1);
-    } else {
-      this.gs.paused = false;
-      this.gs.speed  = speed;
-      this.ui.setSpeedActive(speed);
+    if (speed !== -1 && this._preview) {
+      this._preview = null;
+      this._updateUI();
     }
-
-    if (this._loopHandle) cancelAnimationFrame(this._loopHandle);
-    if (!this.gs.paused) this._loop(performance.now());
+    this.sim.send({ cmd: 'speed', speed });
+    this.ui.setSpeedActive(speed);
   }
 
-  _loop(now) {
-    if (this.gs.paused) return;
-
-    const elapsed = now - this._lastTick;
-    const tickMs  = TICK_MS_BASE / this._speed;
+  // Fast-forward to the next 'season', 'event' or 'unlock' (see SimulationHost)
+  skipAhead(target) {
+    if (!this.gs || this._preview || this.gs.lifeComplete) return;
+    this.sim.send({ cmd: 'skip', target });
+  }
 
-    if (elapsed >= tickMs) {
-      this._lastTick = now;
-      simulateTick(this.gs);
-      this._updateUI();
-    }
+  // Personality id from PERSONALITIES, or null to hand control back
+  setAutopilot(id) {
+    this.autopilot = id ?? null;
+    this.sim.send({ cmd: 'autopilot', id: this.autopilot });
+    this.ui.setAutopilotActive(id);
+  }
 
-    this._loopHandle = requestAnimationFrame(t => this._loop(t));
+  // Grid resource to overlay on the canvas, or null (see PlantRenderer._drawSoilMap)
+  setSoilMap(resource) {
+    if (!this.renderer) return;
+    this.renderer.soilMap = resource;
+    const gs = this._preview ?? this.gs;
+    if (gs) this.renderer.render(gs);
   }
 
   _updateUI() {
     if (!this.gs || !this.renderer || !this.ui) return;
     this.renderer.render(this.gs);
 
-    if (this.gs.lifeComplete && !this._lifecompleteShown) {
-      this._lifecompleteShown = true;
-      this.setSpeed(-1);
-    }
+    this.ui.setSpeedActive(this.gs.paused ? -1 : this.gs.speed);
     this.ui.updateResourceBars(this.gs);
     this.ui.updateStats(this.gs);
     this.ui.updateLog(this.gs);
     this.ui.updateActionButtons(this.gs);
+    this.ui._selectRootType(this.gs.rootType);   // the replay or autopilot may have changed it
+    this.ui.updateSoilMoisture(this.gs);
+    document.getElementById('root-panel').style.display = this.gs.activeAction === 'roots' ? 'block' : 'none';
+    this.ui.updateReplayBadge(this.replay);
+    this.ui.updateTimeline(this.timeline, this.gs, this._preview);
+    this.ui.updateHistoryChart(this.history);
+    this.ui.updateForecast(this._currentForecast());
+  }
+
+  // Projections only while paused on the live game; asked for again when
+  // the tick or the player's choices change, shown when the host replies
+  _currentForecast() {
+    const gs = this.gs;
+    if (!gs.paused || this.replay || this._preview || gs.lifeComplete) return null;
+    const key = [gs.tick, gs.inputs.length, gs.activeAction, gs.rootType].join('|');
+    if (this._forecast.key !== key) {
+      this._forecast.key = key;
+      this.sim.send({ cmd: 'forecast', key });
+    }
+    return this._forecast.rows;
   }
 
   // ── Restart ───────────────────────────────────────────────
   restart() {
-    if (this._loopHandle) cancelAnimationFrame(this._loopHandle);
-    this._loopHandle   = null;
+    this.sim.send({ cmd: 'stop' });
+    this.replay        = null;
     this.gs            = null;
+    this.setAutopilot(null);
+    this.timeline      = { days: [], size: 0 };
+    this._forecast     = { key: null, rows: null };
+    this.history.clear();
     this.selectedBiome = null;
     this.selectedSeed  = null;
 
@@ -202,6 +513,7 @@ class PlantGame {
     document.querySelectorAll('.seed-card' ).forEach(c => c.classList.remove('selected'));
     document.getElementById('seed-section').style.display = 'none';
     document.getElementById('seed-preview').style.display = 'none';
+    this.ui.buildSaveList();
 
     this._showScreen('screen-start');
   }
@@ -0,0 +1,394 @@
+// ============================================================
+// packs.js — Content packs: extra biomes, seeds and root types
+// ============================================================
+//
+// A content pack is a JSON file that adds to or overrides the tables in
+// data.js without touching source:
+//
+//   {
+//     "format": "plantlife-pack", "version": 1, "name": "Alpine flora",
+//     "seeds":     { "edelweiss": { "name": "Edelweiss", …, "biomes": ["mountain"] } },
+//     "biomes":    { "heath": { … } },
+//     "rootTypes": { "fibrous": { …, "pattern": "surface" } }
+//   }
+//
+// Entries are keyed by id: lower-case letters, digits and dashes. A new id
+// must supply every field in PACK_SCHEMA; an existing id only lists the
+// fields it changes. A seed's optional `biomes` list offers it in those
+// biomes. Packs are checked whole before anything is applied, so a pack
+// with errors changes nothing.
+//
+// The page loads every file listed in packs/index.json ({ "packs": [...] })
+// at start-up, and more can be imported from the start screen;
+// packs/example.json shows a complete pack.
+
+import { BIOMES, SEEDS, ROOT_TYPES, SOIL_TYPES } from './data.js';
+
+export const PACK_FORMAT  = 'plantlife-pack';
+export const PACK_VERSION = 1;
+export const PACKS_DIR    = 'packs/';
+
+// Player-made entries (custom.js). Their seeds are held to the trait budget
+// below, whether saved in the designer or imported from a shared file.
+export const CUSTOM_PREFIX = 'custom-';
+
+// Ids end up in element ids, class names and CSS selectors
+const ID_PATTERN = /^[a-z0-9-]+$/;
+
+// Packs applied so far, oldest first: [{ name, source, added, replaced, pack }]
+export const LOADED_PACKS = [];
+
+// ── Schema ────────────────────────────────────────────────
+const str   = { type: 'string' };
+const bool  = { type: 'boolean' };
+const num   = (min = -Infinity, max = Infinity) => ({ type: 'number', min, max });
+const oneOf = (...values) => ({ type: 'oneOf', values });
+const obj   = fields => ({ type: 'object', fields });
+const idsOf = table => ({ type: 'ids', table });
+
+const UNIT = num(0, 1);
+
+/**
+ * Field specs for each table a pack can touch. `ids` fields list ids that
+ * must exist once the pack is applied (built-in or from the same pack).
+ */
+export const PACK_SCHEMA = {
+  rootTypes: {
+    table: ROOT_TYPES,
+    fields: {
+      name: str, icon: str, desc: str,
+      pattern:         oneOf('taproot', 'structural', 'surface'),   // how it grows (see applyGrowth)
+      waterBonus:      num(0),
+      nutrientBonus:   num(0),
+      structuralBonus: num(0),
+    },
+  },
+  seeds: {
+    table: SEEDS,
+    fields: {
+      name: str, icon: str, desc: str,
+      rarity:                  oneOf('common', 'uncommon', 'rare'),
+      lifespan:                oneOf('annual', 'perennial'),
+      deciduous:               bool,
+      growthRate:              num(0),
+      startEnergy:             num(0, 100),
+      startWater:              num(0, 100),
+      startNutrients:          num(0, 100),
+      npkNeed:                 obj({ n: num(0), p: num(0), k: num(0) }),
+      trunkStrength:           num(0),
+      rootEfficiency:          num(0),
+      leafEfficiency:          num(0),
+      waterNeed:               num(0),
+      energyNeed:              num(0),
+      maxHeight:               num(1),
+      maxSpread:               num(1),
+      stomatalType:            oneOf('normal', 'cam'),
+      tempOptimum:             num(-30, 60),
+      cavitationResistance:    UNIT,
+      floweringSeason:         oneOf(-1, 0, 1, 2, 3),   // -1 = day-neutral
+      pollinatorAttraction:    UNIT,
+      cambiumRate:             num(0),
+      mycorrhizalAffinity:     UNIT,
+      herbivorySusceptibility: UNIT,
+      defenseStrength:         UNIT,
+    },
+    optional: {
+      biomes: idsOf(BIOMES),
+    },
+  },
+  biomes: {
+    table: BIOMES,
+    fields: {
+      name: str, icon: str, desc: str,
+      sunlight:         UNIT,
+      rainfall:         UNIT,
+      groundwaterDepth: num(1, 5),
+      soilNutrients:    UNIT,
+      npk:              obj({ n: UNIT, p: UNIT, k: UNIT }),
+      soilType:         oneOf(...Object.keys(SOIL_TYPES)),
+      tempRange:        { type: 'range' },
+      wind:             num(-1, 1),
+      fungalNetwork:    UNIT,
+      seeds:            idsOf(SEEDS),
+    },
+    optional: {
+      sky: { type: 'colors' },   // [top, horizon] for the renderer
+    },
+  },
+};
+
+// ── Trait budget ──────────────────────────────────────────
+// Every numeric trait costs more the further it moves from the middle of
+// its range towards the helpful end, and refunds points the other way, so
+// no custom species can be best at everything.
+export const TRAIT_BUDGET = 10;
+
+// Points for moving one trait across its whole range
+const TRAIT_RANGE_POINTS = 10;
+
+// Costed traits, in form order. `better` is +1 when higher helps the plant,
+// -1 when lower does.
+export const TRAITS = [
+  { path: 'growthRate',              label: '📈 Growth rate',        min: 0.2, max: 2,   step: 0.05, better: 1 },
+  { path: 'rootEfficiency',          label: '🌿 Root efficiency',    min: 0.3, max: 1.5, step: 0.05, better: 1 },
+  { path: 'leafEfficiency',          label: '🍃 Leaf efficiency',    min: 0.3, max: 1.6, step: 0.05, better: 1 },
+  { path: 'trunkStrength',           label: '🪵 Trunk strength',     min: 0.1, max: 2,   step: 0.05, better: 1 },
+  { path: 'maxHeight',               label: '📏 Max height',         min: 2,   max: 150, step: 1,    better: 1 },
+  { path: 'maxSpread',               label: '↔️ Max spread',         min: 5,   max: 100, step: 1,    better: 1 },
+  { path: 'startEnergy',             label: '⚡ Seed energy',        min: 20,  max: 80,  step: 1,    better: 1 },
+  { path: 'startWater',              label: '💧 Seed water',         min: 20,  max: 80,  step: 1,    better: 1 },
+  { path: 'startNutrients',          label: '🪨 Seed nutrients',     min: 10,  max: 60,  step: 1,    better: 1 },
+  { path: 'waterNeed',               label: '🚰 Water need',         min: 0.2, max: 1.5, step: 0.05, better: -1 },
+  { path: 'energyNeed',              label: '🔋 Energy need',        min: 0.3, max: 1.4, step: 0.05, better: -1 },
+  { path: 'npkNeed.n',               label: 'Nitrogen need',         min: 0.3, max: 1.6, step: 0.05, better: -1 },
+  { path: 'npkNeed.p',               label: 'Phosphorus need',       min: 0.3, max: 1.6, step: 0.05, better: -1 },
+  { path: 'npkNeed.k',               label: 'Potassium need',        min: 0.3, max: 1.6, step: 0.05, better: -1 },
+  { path: 'cavitationResistance',    label: '🫧 Drought xylem',      min: 0,   max: 0.9, step: 0.05, better: 1 },
+  { path: 'cambiumRate',             label: '🪵 Wood growth',        min: 0,   max: 1,   step: 0.05, better: 1 },
+  { path: 'pollinatorAttraction',    label: '🐝 Pollinators',        min: 0,   max: 1,   step: 0.05, better: 1 },
+  { path: 'mycorrhizalAffinity',     label: '🍄 Fungal partners',    min: 0,   max: 1,   step: 0.05, better: 1 },
+  { path: 'defenseStrength',         label: '🛡️ Defences',           min: 0,   max: 1,   step: 0.05, better: 1 },
+  { path: 'herbivorySusceptibility', label: '🐛 Tastiness',          min: 0,   max: 1,   step: 0.05, better: -1 },
+];
+
+/** Points one trait costs at a value: positive spends, negative refunds. */
+export function traitPoints(trait, value) {
+  const mid = (trait.min + trait.max) / 2;
+  return trait.better * TRAIT_RANGE_POINTS * (value - mid) / (trait.max - trait.min);
+}
+
+/** Points a seed's traits cost; a design may spend up to TRAIT_BUDGET. */
+export function traitCost(seed) {
+  return TRAITS.reduce((sum, t) => sum + traitPoints(t, getPath(seed, t.path)), 0);
+}
+
+/** Budget and range problems with a design, as "path: message" like validatePack(). */
+export function checkDesign(seed) {
+  const errors = [];
+  TRAITS.forEach(t => {
+    const v = getPath(seed, t.path);
+    if (v < t.min || v > t.max) errors.push(`${t.path}: ${v} is outside ${t.min}–${t.max}`);
+  });
+  const cost = traitCost(seed);
+  if (cost > TRAIT_BUDGET + 1e-9) {
+    errors.push(`traits: ${cost.toFixed(1)} points spent, the budget is ${TRAIT_BUDGET} — weaken a trait to pay for the others`);
+  }
+  return errors;
+}
+
+/** The value at a dotted field path like 'npkNeed.n' or 'tempRange.0'. */
+export function getPath(obj, path) {
+  return path.split('.').reduce((o, k) => o[k], obj);
+}
+
+export function setPath(obj, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  keys.reduce((o, k) => o[k], obj)[last] = value;
+}
+
+// ── Validation ────────────────────────────────────────────
+/**
+ * Check a parsed pack. Returns a list of problems, each prefixed with the
+ * path of the offending field (e.g. "seeds.edelweiss.npkNeed: missing");
+ * empty means the pack can be applied.
+ */
+export function validatePack(pack) {
+  const errors = [];
+  const err = (path, msg) => errors.push(`${path}: ${msg}`);
+
+  if (!_isPlainObject(pack)) return ['pack: not an object'];
+  if (pack.format !== PACK_FORMAT) err('format', `expected "${PACK_FORMAT}"`);
+  if (pack.version !== PACK_VERSION) err('version', `unsupported pack version ${pack.version}`);
+  if (pack.name !== undefined && typeof pack.name !== 'string') err('name', 'expected a string');
+
+  const known = new Set(['format', 'version', 'name', ...Object.keys(PACK_SCHEMA)]);
+  Object.keys(pack).forEach(key => { if (!known.has(key)) err(key, 'unknown section'); });
+
+  for (const [section, schema] of Object.entries(PACK_SCHEMA)) {
+    const entries = pack[section];
+    if (entries === undefined) continue;
+    if (!_isPlainObject(entries)) {
+      err(section, 'expected an object keyed by id');
+      continue;
+    }
+    for (const [id, entry] of Object.entries(entries)) {
+      const path = `${section}.${id}`;
+      const before = errors.length;
+      if (!ID_PATTERN.test(id)) {
+        err(path, 'ids may only use lower-case letters, digits and "-"');
+        continue;
+      }
+      if (!_isPlainObject(entry)) {
+        err(path, 'expected an object');
+        continue;
+      }
+      if (entry.id !== undefined && entry.id !== id) err(`${path}.id`, `does not match its key "${id}"`);
+
+      // Overrides are checked as the entry they will become
+      const merged = { ..._own(schema.table, id), ...entry };
+      for (const [field, spec] of Object.entries(schema.fields)) {
+        _checkField(merged[field], spec, `${path}.${field}`, err, pack);
+      }
+      for (const [field, spec] of Object.entries(schema.optional ?? {})) {
+        if (entry[field] !== undefined) _checkField(entry[field], spec, `${path}.${field}`, err, pack);
+      }
+      const allowed = new Set(['id', ...Object.keys(schema.fields), ...Object.keys(schema.optional ?? {})]);
+      Object.keys(entry).forEach(field => {
+        if (!allowed.has(field)) err(`${path}.${field}`, 'unknown field');
+      });
+      if (section === 'seeds' && id.startsWith(CUSTOM_PREFIX) && errors.length === before) {
+        checkDesign(merged).forEach(e => errors.push(`${path}.${e}`));
+      }
+    }
+  }
+  return errors;
+}
+
+function _checkField(value, spec, path, err, pack) {
+  if (value === undefined) {
+    err(path, 'missing');
+    return;
+  }
+  switch (spec.type) {
+    case 'string':
+      if (typeof value !== 'string' || !value) err(path, 'expected a non-empty string');
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') err(path, 'expected true or false');
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) err(path, 'expected a number');
+      else if (value < spec.min || value > spec.max) err(path, `${value} is outside ${_range(spec)}`);
+      break;
+    case 'oneOf':
+      if (!spec.values.includes(value)) err(path, `expected one of ${spec.values.map(v => JSON.stringify(v)).join(', ')}`);
+      break;
+    case 'range':
+      if (!Array.isArray(value) || value.length !== 2 || !value.every(Number.isFinite)) {
+        err(path, 'expected [min, max]');
+      } else if (value[0] > value[1]) {
+        err(path, 'min is greater than max');
+      }
+      break;
+    case 'colors':
+      if (!Array.isArray(value) || value.length !== 2 || !value.every(c => /^#[0-9a-f]{6}$/i.test(c))) {
+        err(path, 'expected two colours like ["#1a2e4a", "#2d4a1a"]');
+      }
+      break;
+    case 'object':
+      if (!_isPlainObject(value)) {
+        err(path, 'expected an object');
+        break;
+      }
+      for (const [field, sub] of Object.entries(spec.fields)) _checkField(value[field], sub, `${path}.${field}`, err, pack);
+      break;
+    case 'ids': {
+      if (!Array.isArray(value)) {
+        err(path, 'expected a list of ids');
+        break;
+      }
+      const section = Object.keys(PACK_SCHEMA).find(s => PACK_SCHEMA[s].table === spec.table);
+      value.forEach((id, i) => {
+        if (!_own(spec.table, id) && !_own(pack[section] ?? {}, id)) err(`${path}[${i}]`, `unknown ${section.slice(0, -1)} "${id}"`);
+      });
+      break;
+    }
+  }
+}
+
+function _range(spec) {
+  if (spec.max === Infinity) return `the allowed range (≥ ${spec.min})`;
+  return `${spec.min}–${spec.max}`;
+}
+
+// table[id] if the table itself has it — not an inherited property like "constructor"
+function _own(table, id) {
+  return Object.hasOwn(table, id) ? table[id] : undefined;
+}
+
+function _isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+// ── Applying packs ────────────────────────────────────────
+/**
+ * Validate and apply a parsed pack to BIOMES, SEEDS and ROOT_TYPES. Throws
+ * an Error whose `errors` property lists every problem found. Returns its
+ * LOADED_PACKS entry, with counts of entries added and replaced.
+ * `record: false` leaves it out of LOADED_PACKS (custom biomes and species
+ * are kept and listed separately, see custom.js).
+ */
+export function applyPack(pack, source = 'pack', { record = true } = {}) {
+  const errors = validatePack(pack);
+  if (errors.length) throw _packError(errors);
+
+  let added = 0, replaced = 0;
+  const offers = [];   // [seedId, biomeId] from seeds' `biomes` lists
+  for (const [section, schema] of Object.entries(PACK_SCHEMA)) {
+    for (const [id, entry] of Object.entries(pack[section] ?? {})) {
+      const { biomes, ...fields } = entry;
+      const existing = _own(schema.table, id);
+      if (existing) replaced++;
+      else added++;
+      schema.table[id] = { ...existing, ...fields, id };
+      biomes?.forEach(biomeId => offers.push([id, biomeId]));
+    }
+  }
+  offers.forEach(([seedId, biomeId]) => {
+    const biome = BIOMES[biomeId];
+    if (!biome.seeds.includes(seedId)) biome.seeds = [...biome.seeds, seedId];
+  });
+
+  const loaded = { name: pack.name ?? source, source, added, replaced, pack };
+  if (record) LOADED_PACKS.push(loaded);
+  return loaded;
+}
+
+/** Parse and apply a pack file's text; errors as for applyPack(). */
+export function loadPackJSON(text, source) {
+  let pack;
+  try {
+    pack = JSON.parse(text);
+  } catch (e) {
+    throw _packError([`file: not valid JSON (${e.message})`]);
+  }
+  return applyPack(pack, source);
+}
+
+export function isPack(data) {
+  return data?.format === PACK_FORMAT;
+}
+
+/**
+ * Load every pack listed in packs/index.json. A missing index just means no
+ * bundled packs. Returns { loaded: [LOADED_PACKS entry], errors: ["file → problem"] }.
+ */
+export async function loadBundledPacks(dir = PACKS_DIR) {
+  const result = { loaded: [], errors: [] };
+  let files;
+  try {
+    const res = await fetch(`${dir}index.json`);
+    if (!res.ok) return result;
+    files = (await res.json()).packs ?? [];
+  } catch {
+    return result;
+  }
+
+  for (const file of files) {
+    try {
+      const res = await fetch(dir + file);
+      if (!res.ok) throw _packError([`file: could not be fetched (HTTP ${res.status})`]);
+      result.loaded.push(loadPackJSON(await res.text(), file));
+    } catch (err) {
+      (err.errors ?? [err.message]).forEach(e => result.errors.push(`${file} → ${e}`));
+    }
+  }
+  return result;
+}
+
+function _packError(errors) {
+  const e = new Error(`Invalid content pack (${errors.length} problem${errors.length === 1 ? '' : 's'}).`);
+  e.errors = errors;
+  return e;
+}
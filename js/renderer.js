@@ -2,14 +2,22 @@
 // renderer.js — Canvas-based plant visualiser
 // ============================================================
 
+import { soilTexture, waterTableY } from './gameState.js';
+import { GRID_CELL, cellOrigin } from './soilGrid.js';
+
 const SKY_TOP    = '#0a0f1a';
 const SKY_BOTTOM = '#1a2a1a';
 const SOIL_TOP   = '#2a1a0a';
 const SOIL_BOT   = '#150d04';
 const DEEP_WATER = '#0a1528';
 
-// Biome sky palette
-const BIOME_SKY = {
+// Soil map colour of a rich cell for each grid resource; poor and drawn-down
+// cells shade towards SOIL_MAP_POOR
+const SOIL_MAP_RICH = { water: [70, 150, 255], n: [90, 220, 90], p: [230, 120, 230], k: [250, 200, 60] };
+const SOIL_MAP_POOR = [170, 50, 30];
+
+// Biome sky palette (custom and pack biomes may carry their own `sky`)
+export const BIOME_SKY = {
   plains:   ['#1a2e4a', '#2d4a1a'],
   forest:   ['#0d1f0d', '#1a2e1a'],
   desert:   ['#2e1a0a', '#3d2a0a'],
@@ -18,11 +26,19 @@ const BIOME_SKY = {
   tropical: ['#0a1a0a', '#1a2e1a'],
 };
 
+// Deterministic hash → 0..1 float. Rendering must never draw from gs.rng,
+// otherwise the simulation would depend on the frame rate.
+function _hashRand(key, salt) {
+  const s = Math.sin(key * 12.9898 + salt * 78.233) * 43758.5453;
+  return s - Math.floor(s);
+}
+
 export class PlantRenderer {
   constructor(canvas) {
     this.canvas = canvas;
     this.ctx    = canvas.getContext('2d');
     this.camera = { zoom: 3.5, targetZoom: 3.5 };
+    this.soilMap = null;   // grid resource shown as a heatmap (see _drawSoilMap), or null
     this.resize();
     window.addEventListener('resize', () => this.resize());
   }
@@ -90,6 +106,9 @@ export class PlantRenderer {
 
     // Plant content zoomed
     this._applyCameraTransform();
+    this._drawWaterTable(gs);
+    this._drawSoilMap(gs);
+    this._drawRocks(gs);
     this._drawBelowGround(gs);
     this._drawPlant(gs);
     this._removeCameraTransform();
@@ -102,7 +121,7 @@ export class PlantRenderer {
   // ── Background sky ───────────────────────────────────────
   _drawBackground(gs) {
     const ctx   = this.ctx;
-    const [top, bot] = BIOME_SKY[gs.biome.id] || [SKY_TOP, SKY_BOTTOM];
+    const [top, bot] = gs.biome.sky || BIOME_SKY[gs.biome.id] || [SKY_TOP, SKY_BOTTOM];
 
     const grad = ctx.createLinearGradient(0, 0, 0, this.groundY);
     grad.addColorStop(0, top);
@@ -185,35 +204,149 @@ export class PlantRenderer {
     const H    = this.H;
     const W    = this.W;
 
+    const soil = soilTexture(gs.biome);
+    const [top, sub, rock] = soil.colors;
+
     // Topsoil
     const soil1 = ctx.createLinearGradient(0, gY, 0, gY + 60);
-    soil1.addColorStop(0, '#3d2810');
-    soil1.addColorStop(1, '#2a1a08');
+    soil1.addColorStop(0, top);
+    soil1.addColorStop(1, sub);
     ctx.fillStyle = soil1;
     ctx.fillRect(0, gY, W, 60);
 
     // Sub-soil
     const soil2 = ctx.createLinearGradient(0, gY + 60, 0, gY + 180);
-    soil2.addColorStop(0, '#2a1a08');
-    soil2.addColorStop(1, '#1a1005');
+    soil2.addColorStop(0, sub);
+    soil2.addColorStop(1, rock);
     ctx.fillStyle = soil2;
     ctx.fillRect(0, gY + 60, W, 120);
 
     // Deep rock/clay
-    ctx.fillStyle = '#0f0a03';
+    ctx.fillStyle = rock;
     ctx.fillRect(0, gY + 180, W, H - gY - 180);
 
-    // Groundwater table depth indicator
-    const gDepth = gs.env.groundwaterDepth;
-    const waterY = gY + 40 + gDepth * 30;
-    if (waterY < H) {
-      ctx.globalAlpha = 0.25;
-      const waterGrad = ctx.createLinearGradient(0, waterY, 0, waterY + 15);
-      waterGrad.addColorStop(0, '#1a4a7a');
-      waterGrad.addColorStop(1, 'transparent');
-      ctx.fillStyle = waterGrad;
-      ctx.fillRect(0, waterY, W, 15);
-      ctx.globalAlpha = 1;
+    this._drawSoilGrain(soil.grain, gY, W);
+  }
+
+  // ── Water table ──────────────────────────────────────────
+  // Drawn in world space so the tap root visibly reaches it. The drawn
+  // depth eases towards the simulated one, so a rising or falling table
+  // slides rather than jumps, and its surface ripples.
+  _drawWaterTable(gs) {
+    const ctx   = this.ctx;
+    const depth = gs.env.groundwaterDepth;
+    this.tableDepth = this.tableDepth === undefined ? depth : this.tableDepth + (depth - this.tableDepth) * 0.08;
+    const top   = this.groundY + waterTableY(this.tableDepth);
+    const left  = this.cx - this.W * 2;
+    const right = this.cx + this.W * 2;
+    const t     = Date.now() / 600;
+
+    const sat = ctx.createLinearGradient(0, top, 0, top + 120);
+    sat.addColorStop(0, 'rgba(40,110,180,0.35)');
+    sat.addColorStop(1, 'rgba(20,60,110,0.15)');
+    ctx.fillStyle = sat;
+    ctx.beginPath();
+    ctx.moveTo(left, top);
+    for (let x = left; x <= right; x += 12) {
+      ctx.lineTo(x, top + Math.sin(x / 18 + t) * 1.5);
+    }
+    ctx.lineTo(right, top + this.H);
+    ctx.lineTo(left, top + this.H);
+    ctx.closePath();
+    ctx.fill();
+
+    // Surface line, brighter while the table is on the move
+    const moving = Math.min(1, Math.abs(depth - this.tableDepth) * 20);
+    ctx.strokeStyle = `rgba(120,190,255,${0.35 + moving * 0.4})`;
+    ctx.lineWidth   = 1;
+    ctx.beginPath();
+    for (let x = left; x <= right; x += 12) {
+      const y = top + Math.sin(x / 18 + t) * 1.5;
+      if (x === left) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    }
+    ctx.stroke();
+  }
+
+  // ── Soil grid ────────────────────────────────────────────
+  // Heatmap of one resource of gs.soilGrid, in world space under the roots
+  // so each cell lines up with the roots taking from it. Average soil is
+  // left clear; richer cells glow in the resource's colour, poorer or
+  // drawn-down ones shade red.
+  _drawSoilMap(gs) {
+    const values = this.soilMap && gs.settings.soilPatches ? gs.soilGrid[this.soilMap] : null;
+    if (!values) return;
+    const ctx  = this.ctx;
+    const rich = SOIL_MAP_RICH[this.soilMap];
+    values.forEach((v, c) => {
+      if (gs.soilGrid.rock[c]) return;
+      const { x, y } = cellOrigin(c);
+      const [r, g, b] = v >= 1 ? rich : SOIL_MAP_POOR;
+      const alpha = Math.min(0.6, Math.abs(v - 1) * 0.6);
+      ctx.fillStyle = `rgba(${r},${g},${b},${alpha})`;
+      ctx.fillRect(this.cx + x, this.groundY + y, GRID_CELL, GRID_CELL);
+    });
+
+    ctx.strokeStyle = 'rgba(255,255,255,0.06)';
+    ctx.lineWidth   = 0.5;
+    values.forEach((_, c) => {
+      const { x, y } = cellOrigin(c);
+      ctx.strokeRect(this.cx + x, this.groundY + y, GRID_CELL, GRID_CELL);
+    });
+  }
+
+  // Rock cells hold nothing for the roots, so they are always shown
+  _drawRocks(gs) {
+    if (!gs.settings.soilPatches) return;
+    const ctx = this.ctx;
+    gs.soilGrid.rock.forEach((isRock, c) => {
+      if (!isRock) return;
+      const { x, y } = cellOrigin(c);
+      const r = _hashRand(c, 5);
+      ctx.fillStyle   = `rgb(${78 + r * 30},${74 + r * 26},${68 + r * 22})`;
+      ctx.strokeStyle = 'rgba(20,16,12,0.7)';
+      ctx.lineWidth   = 0.8;
+      ctx.beginPath();
+      ctx.ellipse(this.cx + x + GRID_CELL / 2, this.groundY + y + GRID_CELL / 2,
+                  GRID_CELL * (0.42 + r * 0.08), GRID_CELL * (0.32 + r * 0.08), r * Math.PI, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    });
+  }
+
+  // Texture specks over the top 180px — fixed positions from _hashRand so
+  // they do not shimmer between frames
+  _drawSoilGrain(grain, gY, W) {
+    const ctx = this.ctx;
+    const count = { crumb: 60, sand: 220, clay: 30, stones: 40 }[grain] ?? 0;
+    for (let i = 0; i < count; i++) {
+      const x = _hashRand(i, 1) * W;
+      const y = gY + 4 + _hashRand(i, 2) * 176;
+      const r = _hashRand(i, 3);
+      switch (grain) {
+        case 'crumb':
+          ctx.fillStyle = 'rgba(20,12,4,0.35)';
+          ctx.fillRect(x, y, 2 + r * 3, 1.5 + r * 2);
+          break;
+        case 'sand':
+          ctx.fillStyle = `rgba(230,200,140,${0.15 + r * 0.2})`;
+          ctx.fillRect(x, y, 1.2, 1.2);
+          break;
+        case 'clay':
+          ctx.strokeStyle = 'rgba(120,70,40,0.25)';
+          ctx.lineWidth = 1;
+          ctx.beginPath();
+          ctx.moveTo(x, y);
+          ctx.lineTo(x + 20 + r * 40, y + (r - 0.5) * 2);
+          ctx.stroke();
+          break;
+        case 'stones':
+          ctx.fillStyle = `rgba(${110 + r * 40},${105 + r * 35},${95 + r * 30},0.45)`;
+          ctx.beginPath();
+          ctx.ellipse(x, y, 3 + r * 7, 2 + r * 4, r * Math.PI, 0, Math.PI * 2);
+          ctx.fill();
+          break;
+      }
     }
   }
 
@@ -520,7 +653,8 @@ export class PlantRenderer {
           const alphaScale  = 1.0 - side * wind * 0.2;
           ctx.globalAlpha   = Math.max(0.2, 0.75 * alphaScale);
           this._drawFractalBranch(mx, my, twigAngle, scaledLen, twigDepth,
-            Math.max(0.8, node.thickness * 0.45), season);
+            Math.max(0.8, node.thickness * 0.45), season,
+            gs.rng.seed % 10007 + node.id * 2 + (side > 0 ? 1 : 0));
           ctx.globalAlpha = 1;
         });
       }
@@ -565,7 +699,7 @@ export class PlantRenderer {
       const r  = node.size;
 
       ctx.globalAlpha = leafAlpha;
-      this._drawFractalLeaf(lx, ly, node.angle, r, season, gs.plant.leafMass);
+      this._drawFractalLeaf(lx, ly, node.angle, r, season, gs.plant.leafMass, node.id);
       ctx.globalAlpha = 1;
 
       // Herbivory damage: ragged brown patches on leaves
@@ -610,12 +744,14 @@ export class PlantRenderer {
   /**
    * Fractal branch/twig system for above-ground growth.
    * Each branch splits into smaller branches, tapering in width and length.
+   * Jitter is hashed from `key` so the same twig looks identical every frame
+   * and drawing never consumes the simulation's RNG.
    */
-  _drawFractalBranch(x, y, angle, length, depth, width, season) {
+  _drawFractalBranch(x, y, angle, length, depth, width, season, key = 0) {
     if (depth <= 0 || length < 2) return;
 
     const ctx    = this.ctx;
-    const wobble = (Math.random() - 0.5) * 0.15;
+    const wobble = (_hashRand(key, 1) - 0.5) * 0.15;
     const a      = angle + wobble;
 
     const ex = x + Math.cos(a) * length;
@@ -631,7 +767,7 @@ export class PlantRenderer {
     ctx.lineCap     = 'round';
 
     // Slight curve via control point
-    const cpx = (x + ex) / 2 + (Math.random() - 0.5) * length * 0.25;
+    const cpx = (x + ex) / 2 + (_hashRand(key, 2) - 0.5) * length * 0.25;
     const cpy = (y + ey) / 2 - length * 0.1;  // slight upward curve
     ctx.beginPath();
     ctx.moveTo(x, y);
@@ -641,21 +777,23 @@ export class PlantRenderer {
     // Add a small leaf cluster at branch tip
     if (depth === 1) {
       // Leaf faces outward along branch direction (petiole continues outward)
-      this._drawFractalLeaf(ex, ey, a, length * 0.9, season, 50);
+      this._drawFractalLeaf(ex, ey, a, length * 0.9, season, 50, key);
       return;
     }
 
     // Two children per branch node
-    const childLen = length * (0.58 + Math.random() * 0.12);
+    const childLen = length * (0.58 + _hashRand(key, 3) * 0.12);
     [-1, 1].forEach(side => {
-      const childAngle = a + side * (0.35 + Math.random() * 0.2);
+      const childKey   = key * 2 + (side > 0 ? 1 : 0);
+      const childAngle = a + side * (0.35 + _hashRand(childKey, 4) * 0.2);
       this._drawFractalBranch(
         ex, ey,
         childAngle,
         childLen,
         depth - 1,
         width * 0.62,
-        season
+        season,
+        childKey
       );
     });
   }
@@ -665,7 +803,7 @@ export class PlantRenderer {
    * radiating from the attachment point. Leaf size and count scale with
    * the base radius (r).
    */
-  _drawFractalLeaf(cx, cy, baseAngle, r, season, leafMass) {
+  _drawFractalLeaf(cx, cy, baseAngle, r, season, leafMass, key = 0) {
     const ctx = this.ctx;
 
     const leafColors = [
@@ -701,7 +839,7 @@ export class PlantRenderer {
 
       const col = leafColors[i % leafColors.length];
       ctx.fillStyle = col;
-      ctx.globalAlpha = season === 3 ? 0.35 : (0.65 + Math.random() * 0.2);
+      ctx.globalAlpha = season === 3 ? 0.35 : (0.65 + _hashRand(key, 10 + i) * 0.2);
       ctx.beginPath();
       ctx.ellipse(lx, ly, leafW, leafH, leafAngle, 0, Math.PI * 2);
       ctx.fill();
@@ -815,8 +953,8 @@ export class PlantRenderer {
     ctx.strokeStyle = 'rgba(160,200,220,0.35)';
     ctx.lineWidth   = 0.8;
     for (let i = 0; i < drops; i++) {
-      const x = Math.random() * this.W;
-      const y = Math.random() * this.groundY;
+      const x = _hashRand(gs.tick, i * 2)     * this.W;
+      const y = _hashRand(gs.tick, i * 2 + 1) * this.groundY;
       ctx.beginPath();
       ctx.moveTo(x, y);
       ctx.lineTo(x + 1, y + 8);
@@ -0,0 +1,114 @@
+// ============================================================
+// replay.js — Replay files and tick-for-tick playback
+// ============================================================
+//
+// A replay is everything needed to rebuild a run from scratch: biome and
+// seed ids, settings, RNG seed, how far the run got and the recorded
+// inputs. It is written without whitespace so it pastes into an issue.
+
+import { BIOMES, SEEDS } from './data.js';
+import { savedSettings } from './systems.js';
+import { createGameState, simulateTick } from './gameState.js';
+import { applyInput, INPUT } from './inputs.js';
+
+export const REPLAY_FORMAT    = 'plantlife-replay';
+// Bumped whenever the simulation changes how recorded inputs play out, so
+// an older replay is turned away instead of diverging from its run
+export const REPLAY_VERSION   = 2;
+export const REPLAY_EXTENSION = '.plantlife-replay.json';
+
+export function createReplay(gs) {
+  return {
+    format:   REPLAY_FORMAT,
+    version:  REPLAY_VERSION,
+    biomeId:  gs.biome.id,
+    seedId:   gs.seed.id,
+    settings: gs.settings,
+    rngSeed:  gs.rng.seed,
+    ticks:    gs.tick,
+    inputs:   gs.inputs,
+  };
+}
+
+export function replayToJSON(gs) {
+  return JSON.stringify(createReplay(gs));
+}
+
+export function replayFileName(gs) {
+  return `${gs.seed.id}-${gs.biome.id}-day${gs.day}${REPLAY_EXTENSION}`;
+}
+
+export function isReplay(data) {
+  return data?.format === REPLAY_FORMAT;
+}
+
+/** Validate a parsed replay object; throws an Error with an `errors` list. */
+export function checkReplay(data) {
+  const errors = [];
+  if (data.version < REPLAY_VERSION) errors.push(`version: recorded by an older version of the game (v${data.version}) and no longer plays back the same`);
+  else if (data.version !== REPLAY_VERSION) errors.push(`version: unsupported replay version ${data.version}`);
+  if (!BIOMES[data.biomeId]) errors.push(`biomeId: unknown biome "${data.biomeId}"`);
+  if (!SEEDS[data.seedId])   errors.push(`seedId: unknown seed "${data.seedId}"`);
+  if (!Number.isInteger(data.rngSeed)) errors.push('rngSeed: expected an integer');
+  if (!Number.isInteger(data.ticks) || data.ticks < 0) errors.push('ticks: expected a non-negative integer');
+  if (!Array.isArray(data.inputs)) errors.push('inputs: expected an array');
+  else {
+    const types = Object.values(INPUT);
+    let last = 0;
+    data.inputs.forEach((inp, i) => {
+      if (!Array.isArray(inp) || !Number.isInteger(inp[0]) || !types.includes(inp[1])) {
+        errors.push(`inputs[${i}]: expected [tick, type, value]`);
+      } else if (inp[0] < last) {
+        errors.push(`inputs[${i}]: tick ${inp[0]} is earlier than the previous input`);
+      } else {
+        last = inp[0];
+      }
+    });
+  }
+  if (errors.length) {
+    const e = new Error(`Invalid replay (${errors.length} problem${errors.length === 1 ? '' : 's'}).`);
+    e.errors = errors;
+    throw e;
+  }
+  return data;
+}
+
+/**
+ * Steps a fresh game through a replay. Each step() applies the inputs that
+ * were recorded before the next tick, then simulates that tick — exactly the
+ * order the live game produced them in.
+ *
+ * `start` resumes part-way instead: a state from earlier in the same run
+ * (e.g. a timeline snapshot) whose gs.inputs are a prefix of the replay's.
+ */
+export class ReplayPlayer {
+  constructor(replay, start = null) {
+    this.replay = checkReplay(replay);
+    this.cursor = start ? start.inputs.length : 0;
+    this.gs = start ?? createGameState(
+      BIOMES[replay.biomeId],
+      SEEDS[replay.seedId],
+      savedSettings(replay.settings),
+      replay.rngSeed,
+    );
+  }
+
+  get done() {
+    const ended = this.gs.tick >= this.replay.ticks || this.gs.lifeComplete;
+    return ended && this.cursor >= this.replay.inputs.length;
+  }
+
+  // 0..1 progress through the recording
+  get progress() {
+    return this.replay.ticks ? Math.min(1, this.gs.tick / this.replay.ticks) : 1;
+  }
+
+  step() {
+    const { inputs } = this.replay;
+    while (this.cursor < inputs.length && inputs[this.cursor][0] <= this.gs.tick) {
+      const input = inputs[this.cursor++];
+      if (applyInput(this.gs, input)) this.gs.inputs.push(input);
+    }
+    if (this.gs.tick < this.replay.ticks && !this.gs.lifeComplete) simulateTick(this.gs);
+  }
+}
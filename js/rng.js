@@ -0,0 +1,46 @@
+// ============================================================
+// rng.js — Seedable pseudo-random number generator
+// ============================================================
+//
+// The generator state is a plain { seed, state } object stored on the game
+// state (gs.rng), so it survives cloning and serialisation and a run can be
+// reproduced from biome + seed + settings + RNG seed + player inputs.
+
+const SEED_MAX = 0xffffffff;
+
+export function createRng(seed) {
+  const s = seed >>> 0;
+  return { seed: s, state: s };
+}
+
+/** Advance the generator and return a float in [0, 1) (mulberry32). */
+export function nextRandom(rng) {
+  rng.state = (rng.state + 0x6d2b79f5) >>> 0;
+  let t = rng.state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/** Fresh seed for a new run when the player didn't choose one. */
+export function randomSeed() {
+  return Math.floor(Math.random() * SEED_MAX) >>> 0;
+}
+
+/**
+ * Turn player input into a seed: plain integers are used as-is, any other
+ * text is hashed (FNV-1a) so "my-oak-run" is as shareable as 12345.
+ * Returns null for empty input.
+ */
+export function parseSeed(text) {
+  const str = String(text ?? '').trim();
+  if (!str) return null;
+  if (/^\d+$/.test(str) && Number(str) <= SEED_MAX) return Number(str) >>> 0;
+
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
@@ -0,0 +1,360 @@
+// ============================================================
+// save.js — Versioned save format, localStorage slots, file export
+// ============================================================
+
+import { BIOMES, SEEDS, ROOT_TYPES, RESOURCE_MAX } from './data.js';
+import { DEFAULT_SETTINGS, savedSettings } from './systems.js';
+import { createGameState } from './gameState.js';
+import { ACTIONS } from './inputs.js';
+import { GRID_COLS, GRID_ROWS, GRID_RESOURCES } from './soilGrid.js';
+import { JOURNAL_LEVELS } from './journal.js';
+
+export const SAVE_VERSION = 2;
+
+const SLOT_PREFIX = 'plantlife.save.';
+const INDEX_KEY   = 'plantlife.saves';
+
+// Fields rebuilt on load rather than stored: biome/seed are referenced by id,
+// placement and speed are UI session state, flows and budget are recomputed
+// every tick.
+const TRANSIENT_KEYS = ['biome', 'seed', 'placement', 'paused', 'speed', 'flows', 'budget', 'healthTerms'];
+
+// Forward migrations, keyed by the version they upgrade FROM. Each receives
+// the raw save object and returns it in the next version's shape. Purely
+// additive changes need no entry: deserializeGame() layers the saved state
+// over a fresh createGameState(), so new fields pick up their defaults.
+const MIGRATIONS = {
+  // v1 kept a newest-first `log` capped at 40 lines; v2 keeps the whole journal
+  1: save => {
+    const { log = [], ...state } = save.state ?? {};
+    const errors = _validateLogEntries(log, 'state.log', false);
+    if (errors.length) throw _importError(errors);
+    state.journal = log.slice().reverse().map(e => ({
+      tick: (e.day - 1) * 10, day: e.day, msg: e.msg, type: e.type, subsystem: 'game',
+    }));
+    return { ...save, state };
+  },
+};
+
+// ── Serialise ─────────────────────────────────────────────
+export function serializeGame(gs) {
+  const state = {};
+  for (const [key, val] of Object.entries(gs)) {
+    if (!TRANSIENT_KEYS.includes(key)) state[key] = val;
+  }
+  return JSON.parse(JSON.stringify({
+    version: SAVE_VERSION,
+    savedAt: new Date().toISOString(),
+    biomeId: gs.biome.id,
+    seedId:  gs.seed.id,
+    state,
+  }));
+}
+
+// ── Deserialise ───────────────────────────────────────────
+// `defs` can supply the biome and seed objects directly instead of looking
+// the save's ids up (the simulation host receives them with the save).
+export function deserializeGame(data, defs = {}) {
+  const save  = migrateSave(data);
+  const biome = defs.biome ?? BIOMES[save.biomeId];
+  const seed  = defs.seed  ?? SEEDS[save.seedId];
+  if (!biome) throw new Error(`Unknown biome "${save.biomeId}" in save.`);
+  if (!seed)  throw new Error(`Unknown seed "${save.seedId}" in save.`);
+
+  const saved    = save.state;
+  const settings = savedSettings(saved.settings);
+  const gs       = createGameState(biome, seed, settings, saved.rng?.seed ?? 0);
+  _mergeInto(gs, saved);
+
+  gs.settings = settings;
+  gs.paused   = true;
+  gs.speed    = 0;
+  return gs;
+}
+
+export function migrateSave(data) {
+  if (!data || typeof data !== 'object') throw new Error('Save data is not an object.');
+  let save = data;
+  let version = save.version ?? 0;
+  if (version > SAVE_VERSION) {
+    throw new Error(`Save version ${version} is newer than this game (v${SAVE_VERSION}).`);
+  }
+  while (version < SAVE_VERSION) {
+    const step = MIGRATIONS[version];
+    if (!step) throw new Error(`No migration from save version ${version}.`);
+    save = step(save);
+    version = save.version = version + 1;
+  }
+  return save;
+}
+
+// Copy saved values over the defaults. Plain objects merge key by key so a
+// nested field added after the save was written keeps its default; arrays
+// and scalars are taken from the save wholesale.
+function _mergeInto(target, source) {
+  for (const [key, val] of Object.entries(source)) {
+    const cur = target[key];
+    if (_isPlainObject(val) && _isPlainObject(cur)) _mergeInto(cur, val);
+    else target[key] = val;
+  }
+}
+
+function _isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+// ── Validation ────────────────────────────────────────────
+const RESOURCE_KEYS = ['energy', 'water', 'o2', 'co2', 'nitrogen', 'phosphorus', 'potassium', 'health'];
+const PLANT_SCALARS = ['rootDepth', 'rootSpread', 'rootStructural', 'trunkHeight', 'trunkGirth',
+                       'branchCount', 'branchLength', 'leafMass', 'flowerProgress'];
+const NODE_TYPES    = ['trunk', 'leaf'];
+const SEGMENT_KEYS  = ['x1', 'y1', 'x2', 'y2', 'cpx', 'cpy', 'width', 'maxWidth'];
+
+/**
+ * Check a (migrated) save object for anything that would break the
+ * simulation or renderer. Returns a list of human-readable problems, each
+ * prefixed with the path of the offending field; empty means valid.
+ */
+export function validateSave(save) {
+  const errors = [];
+  const err = (path, msg) => errors.push(`${path}: ${msg}`);
+  const isNum = v => typeof v === 'number' && Number.isFinite(v);
+
+  if (!save || typeof save !== 'object') return ['save: not an object'];
+  if (!BIOMES[save.biomeId]) err('biomeId', `unknown biome "${save.biomeId}"`);
+  if (!SEEDS[save.seedId])   err('seedId', `unknown seed "${save.seedId}"`);
+
+  const st = save.state;
+  if (!_isPlainObject(st)) {
+    err('state', 'missing or not an object');
+    return errors;
+  }
+
+  RESOURCE_KEYS.forEach(key => {
+    const v = st[key];
+    if (!isNum(v)) err(`state.${key}`, `expected a number, got ${JSON.stringify(v)}`);
+    else if (v < 0 || v > RESOURCE_MAX) err(`state.${key}`, `${v} is outside 0–${RESOURCE_MAX}`);
+  });
+
+  if (!Number.isInteger(st.tick) || st.tick < 0) err('state.tick', 'expected a non-negative integer');
+  if (!_isPlainObject(st.rng) || !isNum(st.rng.seed) || !isNum(st.rng.state)) {
+    err('state.rng', 'expected { seed, state } numbers');
+  }
+
+  if (!(st.rootType in ROOT_TYPES)) err('state.rootType', `unknown root type "${st.rootType}"`);
+  if (st.activeAction != null && !ACTIONS.includes(st.activeAction)) {
+    err('state.activeAction', `unknown action "${st.activeAction}"`);
+  }
+  if (st.inputs !== undefined && !Array.isArray(st.inputs)) err('state.inputs', 'expected an array');
+  if (st.journal !== undefined) errors.push(..._validateLogEntries(st.journal, 'state.journal', true));
+  if (st.placementHistory !== undefined) {
+    const h = st.placementHistory;
+    if (!_isPlainObject(h) || !Array.isArray(h.undo) || !Array.isArray(h.redo)) {
+      err('state.placementHistory', 'expected { undo: [], redo: [] }');
+    }
+  }
+  if (st.soilWater !== undefined) {
+    const w = st.soilWater;
+    if (!_isPlainObject(w) || !['topsoil', 'subsoil'].every(k => isNum(w[k]) && w[k] >= 0)) {
+      err('state.soilWater', 'expected { topsoil, subsoil } non-negative numbers');
+    }
+  }
+  if (st.soilGrid !== undefined) {
+    const g = st.soilGrid;
+    const isCells = a => Array.isArray(a) && a.length === GRID_COLS * GRID_ROWS && a.every(v => isNum(v) && v >= 0);
+    if (!_isPlainObject(g) || !_isPlainObject(g.base)) err('state.soilGrid', 'expected { base, water, n, p, k, rock }');
+    else ['rock', ...GRID_RESOURCES].forEach(key => {
+      if (!isCells(g[key])) err(`state.soilGrid.${key}`, `expected ${GRID_COLS * GRID_ROWS} non-negative numbers`);
+      if (key !== 'rock' && !isCells(g.base[key])) err(`state.soilGrid.base.${key}`, `expected ${GRID_COLS * GRID_ROWS} non-negative numbers`);
+    });
+  }
+
+  if (st.settings !== undefined) {
+    if (!_isPlainObject(st.settings)) err('state.settings', 'not an object');
+    else Object.entries(st.settings).forEach(([key, val]) => {
+      if (!(key in DEFAULT_SETTINGS)) err(`state.settings.${key}`, 'unknown setting');
+      else if (typeof val !== 'boolean') err(`state.settings.${key}`, 'expected true or false');
+    });
+  }
+
+  const plant = st.plant;
+  if (!_isPlainObject(plant)) {
+    err('state.plant', 'missing or not an object');
+    return errors;
+  }
+  PLANT_SCALARS.forEach(key => {
+    const v = plant[key];
+    if (v === undefined) return;
+    if (!isNum(v) || v < 0 || v > 100) err(`state.plant.${key}`, `${JSON.stringify(v)} is outside 0–100`);
+  });
+
+  _validateNodes(plant, err);
+  _validateRootGraph(plant.rootGraph, err, isNum);
+  return errors;
+}
+
+function _validateNodes(plant, err) {
+  const nodes = plant.nodes;
+  if (!Array.isArray(nodes)) {
+    err('state.plant.nodes', 'expected an array');
+    return;
+  }
+
+  const byId = new Map();
+  nodes.forEach((n, i) => {
+    const path = `state.plant.nodes[${i}]`;
+    if (!_isPlainObject(n)) { err(path, 'not an object'); return; }
+    if (!Number.isInteger(n.id)) { err(`${path}.id`, 'expected an integer'); return; }
+    if (byId.has(n.id)) err(`${path}.id`, `duplicate node id ${n.id}`);
+    byId.set(n.id, n);
+  });
+
+  let maxId = -1;
+  nodes.forEach((n, i) => {
+    if (!_isPlainObject(n) || !Number.isInteger(n.id)) return;
+    const path = `state.plant.nodes[${i}]`;
+    maxId = Math.max(maxId, n.id);
+
+    if (!NODE_TYPES.includes(n.type)) err(`${path}.type`, `unknown node type "${n.type}"`);
+    ['x', 'y', 'angle'].forEach(k => {
+      if (!Number.isFinite(n[k])) err(`${path}.${k}`, 'expected a finite number');
+    });
+
+    if (n.parentId !== null) {
+      const parent = byId.get(n.parentId);
+      if (!parent) err(`${path}.parentId`, `node ${n.parentId} does not exist`);
+      else if (!parent.children?.includes(n.id)) {
+        err(`${path}.parentId`, `parent ${n.parentId} does not list node ${n.id} as a child`);
+      }
+    }
+
+    if (!Array.isArray(n.children)) {
+      err(`${path}.children`, 'expected an array');
+      return;
+    }
+    n.children.forEach((cid, j) => {
+      const child = byId.get(cid);
+      if (!child) err(`${path}.children[${j}]`, `node ${cid} does not exist`);
+      else if (child.parentId !== n.id) {
+        err(`${path}.children[${j}]`, `node ${cid} has parentId ${child.parentId}, not ${n.id}`);
+      }
+    });
+  });
+
+  if (Number.isInteger(plant.nextNodeId) && plant.nextNodeId <= maxId) {
+    err('state.plant.nextNodeId', `${plant.nextNodeId} would reuse existing node id ${maxId}`);
+  }
+}
+
+// Journal lines are shown in the page, so each must have exactly the shape
+// addLog() writes. v1 `log` lines (journal: false) had only day, msg and type.
+function _validateLogEntries(entries, path, journal) {
+  if (!Array.isArray(entries)) return [`${path}: expected an array`];
+  const errors = [];
+  entries.forEach((e, i) => {
+    const at = `${path}[${i}]`;
+    if (!_isPlainObject(e)) { errors.push(`${at}: not an object`); return; }
+    if (!Number.isInteger(e.day)) errors.push(`${at}.day: expected an integer`);
+    if (typeof e.msg !== 'string') errors.push(`${at}.msg: expected a string`);
+    if (!JOURNAL_LEVELS.includes(e.type)) errors.push(`${at}.type: unknown level ${JSON.stringify(e.type)}`);
+    if (!journal) return;
+    if (!Number.isInteger(e.tick)) errors.push(`${at}.tick: expected an integer`);
+    if (typeof e.subsystem !== 'string') errors.push(`${at}.subsystem: expected a string`);
+    if (e.event !== undefined && typeof e.event !== 'string') errors.push(`${at}.event: expected a string`);
+  });
+  return errors;
+}
+
+function _validateRootGraph(rg, err, isNum) {
+  if (rg === undefined) return;
+  if (!_isPlainObject(rg)) {
+    err('state.plant.rootGraph', 'not an object');
+    return;
+  }
+  Object.keys(ROOT_TYPES).forEach(type => {
+    const segs = rg[type];
+    if (segs === undefined) return;
+    if (!Array.isArray(segs)) {
+      err(`state.plant.rootGraph.${type}`, 'expected an array');
+      return;
+    }
+    segs.forEach((seg, i) => {
+      const bad = SEGMENT_KEYS.find(k => !isNum(seg?.[k]));
+      if (bad) err(`state.plant.rootGraph.${type}[${i}].${bad}`, 'expected a finite number');
+    });
+  });
+}
+
+// ── Portable files ────────────────────────────────────────
+export const EXPORT_EXTENSION = '.plantlife.json';
+
+export function exportFileName(gs) {
+  return `${gs.seed.id}-${gs.biome.id}-day${gs.day}${EXPORT_EXTENSION}`;
+}
+
+export function exportGameJSON(gs) {
+  return JSON.stringify(serializeGame(gs), null, 2);
+}
+
+/**
+ * Parse, migrate and validate an exported file's text. Throws an Error whose
+ * `errors` property lists every problem found, so the caller can show them
+ * all instead of failing on the first bad field.
+ */
+export function importGameJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw _importError([`file: not valid JSON (${e.message})`]);
+  }
+
+  let save;
+  try {
+    save = migrateSave(data);
+  } catch (e) {
+    throw e.errors ? e : _importError([`version: ${e.message}`]);
+  }
+
+  const errors = validateSave(save);
+  if (errors.length) throw _importError(errors);
+  return deserializeGame(save);
+}
+
+function _importError(errors) {
+  const e = new Error(`Invalid save file (${errors.length} problem${errors.length === 1 ? '' : 's'}).`);
+  e.errors = errors;
+  return e;
+}
+
+// ── localStorage slots ────────────────────────────────────
+export function listSaves() {
+  try {
+    const list = JSON.parse(localStorage.getItem(INDEX_KEY) || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveGame(name, gs) {
+  const data = serializeGame(gs);
+  localStorage.setItem(SLOT_PREFIX + name, JSON.stringify(data));
+
+  const entry = { name, savedAt: data.savedAt, day: gs.day, biomeId: data.biomeId, seedId: data.seedId };
+  const index = listSaves().filter(s => s.name !== name);
+  index.unshift(entry);
+  localStorage.setItem(INDEX_KEY, JSON.stringify(index));
+  return entry;
+}
+
+export function loadGame(name) {
+  const raw = localStorage.getItem(SLOT_PREFIX + name);
+  if (!raw) throw new Error(`No saved game named "${name}".`);
+  return deserializeGame(JSON.parse(raw));
+}
+
+export function deleteSave(name) {
+  localStorage.removeItem(SLOT_PREFIX + name);
+  localStorage.setItem(INDEX_KEY, JSON.stringify(listSaves().filter(s => s.name !== name)));
+}
@@ -0,0 +1,392 @@
+// ============================================================
+// simHost.js — The simulation, driven by messages
+// ============================================================
+//
+// SimulationHost owns the live game: it runs the fixed-timestep tick loop,
+// replays, the autopilot, skip-ahead, the rewind timeline and forecasts.
+// It normally lives in a Web Worker (simWorker.js) so the page only draws;
+// connectSimulation() falls back to hosting it on the main thread.
+//
+// Commands in (all plain objects with a `cmd`):
+//   load      { save, biome, seed }   start from a serialized game
+//   replay    { replay, note }        play a recording back
+//   input     { type, value }         an INPUT — action, root type, placement…
+//   speed     { speed }               -1 pauses
+//   skip      { target }              'season' | 'event' | 'unlock'
+//   autopilot { id }                  PERSONALITIES id, or null
+//   log       { msg, level }          a journal line from the page
+//   preview   { day, exact }          an earlier day, without changing the game
+//   rewind    { day, exact }          continue from an earlier day
+//   forecast  { key }                 look-ahead rows for the paused game
+//   stop      {}                      drop the game
+//   pack      { pack }                apply a content pack the page loaded
+//
+// Messages out (`type`):
+//   snapshot  { reset, state, journal, inputs, samples, timeline, replay }
+//             state is the game without biome, seed, journal and inputs;
+//             journal and inputs carry only entries added since the last
+//             snapshot unless `reset` ('new' | 'rewind') says start over
+//   event     { event }                 a notify-worthy simulation event
+//   skip      { skip, reason }          skip progress; skip is null once it ends
+//   preview   { day, exact, state }
+//   forecast  { key, rows }
+//   ready     {}                        the worker has started (simWorker.js)
+//   error     { message }               the worker failed (connectSimulation)
+
+import { TICK_MS_BASE } from './data.js';
+import { simulateTick, addLog } from './gameState.js';
+import { dispatchInput, INPUT } from './inputs.js';
+import { deserializeGame } from './save.js';
+import { ReplayPlayer } from './replay.js';
+import { Timeline } from './timeline.js';
+import { subscribe, describeEvent, EVENT_TYPES } from './events.js';
+import { sampleHistory } from './history.js';
+import { forecast } from './forecast.js';
+import { createAutopilot } from './autopilot.js';
+import { applyPack } from './packs.js';
+
+const FRAME_MS            = 16;    // loop interval — snapshots go out at about render rate
+const MAX_TICKS_PER_FRAME = 200;   // catch-up limit per frame
+const MAX_CATCHUP_MS      = 1000;  // real time made up after a stall; the rest is dropped
+const SKIP_SLICE_MS       = 30;    // simulation time per frame while skipping ahead
+const SKIP_MAX_DAYS       = 360;
+
+// Sent separately (journal, inputs) or known to the page already (biome, seed)
+const SNAPSHOT_SKIP = ['biome', 'seed', 'journal', 'inputs'];
+
+export class SimulationHost {
+  constructor(post) {
+    this.post      = post;
+    this.gs        = null;
+    this.replay    = null;   // ReplayPlayer while a replay plays back
+    this.autopilot = null;
+    this.timeline  = new Timeline();
+    this.skip      = null;   // fast-forward in progress
+    this._timer    = null;
+    this._samples  = [];     // history samples not yet sent
+    this._sent     = { journal: 0, inputs: 0 };
+    this._timelineInfo = { days: [], size: 0 };
+  }
+
+  receive(msg) {
+    switch (msg.cmd) {
+      case 'load':      this.replay = null; return this._enter(deserializeGame(msg.save, msg));
+      case 'replay':    return this._startReplay(msg.replay, msg.note);
+      case 'input':     return this._input(msg.type, msg.value);
+      case 'speed':     return this._setSpeed(msg.speed);
+      case 'skip':      return this._skipAhead(msg.target);
+      case 'autopilot': this.autopilot = msg.id ? createAutopilot(msg.id) : null; return;
+      case 'log':       return this._log(msg.msg, msg.level);
+      case 'preview':   return this._preview(msg.day, msg.exact);
+      case 'rewind':    return this._rewind(msg.day, msg.exact);
+      case 'forecast':  return this._forecast(msg.key);
+      case 'stop':      return this._drop();
+      case 'pack':      applyPack(msg.pack); return;   // replays and rewinds look biomes and seeds up by id
+      default:          throw new Error(`Unknown simulation command "${msg.cmd}".`);
+    }
+  }
+
+  // ── Game lifecycle ────────────────────────────────────────
+  // New games, loads and rewinds (which keep their timeline)
+  _enter(gs, keepTimeline = false) {
+    this._cancelSkip();
+    this._stop();
+    this.gs = gs;
+    gs.paused = true;
+    gs.speed  = 0;
+    if (!keepTimeline) this.timeline.clear();
+    this._capture();
+    subscribe(gs, '*', event => {
+      if (EVENT_TYPES[event.type].notify) this.post({ type: 'event', event });
+    });
+    this._sent    = { journal: 0, inputs: 0 };
+    this._samples = [];
+    this._snapshot(keepTimeline ? 'rewind' : 'new');
+  }
+
+  _startReplay(data, note) {
+    const player = new ReplayPlayer(data);
+    if (note) addLog(player.gs, note, '');
+    this.replay = player;
+    this._enter(player.gs);
+  }
+
+  _finishReplay() {
+    this.replay = null;
+    addLog(this.gs, 'Replay finished — the plant is yours from here.', 'good');
+    this._setSpeed(-1);
+  }
+
+  _drop() {
+    this._cancelSkip();
+    this._stop();
+    this.gs        = null;
+    this.replay    = null;
+    this.autopilot = null;
+    this.timeline.clear();
+  }
+
+  // ── Player commands ───────────────────────────────────────
+  _input(type, value) {
+    if (!this.gs || this.replay) return;
+    if (dispatchInput(this.gs, type, value)) this._snapshot();
+  }
+
+  _log(msg, level) {
+    if (!this.gs) return;
+    addLog(this.gs, msg, level);
+    this._snapshot();
+  }
+
+  _setSpeed(speed) {
+    const gs = this.gs;
+    if (!gs) return;
+    if (!this.replay) dispatchInput(gs, INPUT.SPEED, speed);
+    gs.paused = speed === -1;
+    gs.speed  = gs.paused ? 0 : speed;
+
+    if (gs.paused && this.skip) this._endSkip();
+    this._stop();
+    if (!gs.paused) {
+      this._lastFrame   = performance.now();
+      this._accumulator = 0;
+      this._schedule();
+    }
+    this._snapshot();
+  }
+
+  // ── Tick loop ─────────────────────────────────────────────
+  // Fixed timestep: real time accumulates and is paid out in whole ticks,
+  // as many per frame as the speed asks for. After a long gap only
+  // MAX_CATCHUP_MS is made up and the rest is dropped.
+  _loop() {
+    this._timer = null;
+    const gs = this.gs;
+    if (!gs || gs.paused) return;
+
+    if (this.skip) {
+      this._runSkip();
+    } else {
+      const now    = performance.now();
+      const tickMs = TICK_MS_BASE / gs.speed;
+      this._accumulator += Math.min(now - this._lastFrame, MAX_CATCHUP_MS);
+      this._lastFrame = now;
+
+      let ticks = Math.floor(this._accumulator / tickMs);
+      if (ticks > MAX_TICKS_PER_FRAME) {
+        ticks = MAX_TICKS_PER_FRAME;
+        this._accumulator = 0;
+      } else {
+        this._accumulator -= ticks * tickMs;
+      }
+      let running = true;
+      for (let i = 0; i < ticks && running; i++) running = this._stepTick();
+      if (!running) this._stopRun();
+      else if (ticks) this._snapshot();
+    }
+
+    if (this.gs && !this.gs.paused) this._schedule();
+  }
+
+  // Advance one tick with its bookkeeping; false once the run has to stop
+  _stepTick() {
+    const gs = this.gs;
+    if (this.replay) {
+      this.replay.step();
+    } else {
+      this.autopilot?.tick(gs);
+      simulateTick(gs);
+    }
+    this._samples.push(sampleHistory(gs));
+    if (gs.tick % 10 === 0) this._capture();
+    return !gs.lifeComplete && !this.replay?.done;
+  }
+
+  // The replay ran out or the plant finished its life
+  _stopRun() {
+    if (this.replay?.done) this._finishReplay();
+    else this._setSpeed(-1);
+  }
+
+  _schedule() {
+    this._timer ??= setTimeout(() => this._loop(), FRAME_MS);
+  }
+
+  _stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  // ── Skip ahead ────────────────────────────────────────────
+  // Fast-forward to the next season, notable event or unlock, a time slice
+  // per frame with no snapshots until it ends. Any danger event stops it
+  // early, as does SKIP_MAX_DAYS without a hit.
+  _skipAhead(target) {
+    const gs = this.gs;
+    if (!gs || gs.lifeComplete || this.skip) return;
+
+    const skip = { target, season: gs.season, until: gs.tick + SKIP_MAX_DAYS * 10, reason: null };
+    skip.unsubscribe = subscribe(gs, '*', event => {
+      if (skip.reason) return;
+      const def = EVENT_TYPES[event.type];
+      if (event.level === 'danger'
+          || (target === 'event'  && def.notify)
+          || (target === 'unlock' && event.type === 'unlock')) {
+        skip.reason = describeEvent(event, gs);
+      }
+    });
+    this.skip = skip;
+    this._postSkip();
+
+    if (gs.paused) {
+      gs.paused = false;
+      this._schedule();
+    }
+  }
+
+  _runSkip() {
+    const skip = this.skip;
+    const gs   = this.gs;
+    const end  = performance.now() + SKIP_SLICE_MS;
+    let running = true;
+    while (performance.now() < end) {
+      running = this._stepTick();
+      if (!running) skip.reason ??= 'The run has ended.';
+      if (skip.target === 'season' && gs.season !== skip.season) skip.reason ??= 'A new season has begun.';
+      if (!skip.reason && gs.tick >= skip.until) skip.reason = `Nothing happened in ${SKIP_MAX_DAYS} days.`;
+      if (skip.reason) break;
+    }
+    if (!running)         this._stopRun();
+    else if (skip.reason) this._setSpeed(-1);
+    else                  this._postSkip();
+  }
+
+  _endSkip() {
+    const { reason } = this.skip;
+    this._cancelSkip();
+    this.post({ type: 'skip', skip: null, reason });
+  }
+
+  _cancelSkip() {
+    this.skip?.unsubscribe();
+    this.skip = null;
+  }
+
+  _postSkip() {
+    this.post({ type: 'skip', skip: { target: this.skip.target, day: this.gs.day }, reason: null });
+  }
+
+  // ── Timeline ──────────────────────────────────────────────
+  _capture() {
+    this.timeline.capture(this.gs);
+    this._timelineInfo = { days: this.timeline.days, size: this.timeline.size };
+  }
+
+  // exact: any day via replay (journal links); otherwise the kept snapshot
+  _earlier(day, exact) {
+    return exact ? this.timeline.rebuild(day, this.gs) : this.timeline.restore(day, this.gs);
+  }
+
+  _preview(day, exact) {
+    if (!this.gs) return;
+    const gs = this._earlier(day, exact);
+    this.post({ type: 'preview', day, exact, state: gs && _stateOf(gs) });
+  }
+
+  // Abandon everything after `day` and carry on from there
+  _rewind(day, exact) {
+    const gs = this.gs && this._earlier(day, exact);
+    if (!gs) return;
+    this.timeline.branchFrom(gs.day);
+    this.replay = null;
+    addLog(gs, `Rewound from day ${this.gs.day} to day ${gs.day}.`, 'warn');
+    this._enter(gs, true);
+  }
+
+  _forecast(key) {
+    if (!this.gs) return;
+    this.post({ type: 'forecast', key, rows: forecast(this.gs) });
+  }
+
+  // ── Snapshots ─────────────────────────────────────────────
+  _snapshot(reset = null) {
+    const gs = this.gs;
+    const msg = {
+      type:     'snapshot',
+      reset,
+      state:    _stateOf(gs),
+      journal:  gs.journal.slice(this._sent.journal),
+      inputs:   gs.inputs.slice(this._sent.inputs),
+      samples:  this._samples,
+      timeline: this._timelineInfo,
+      replay:   this.replay ? { progress: this.replay.progress } : null,
+    };
+    this._sent    = { journal: gs.journal.length, inputs: gs.inputs.length };
+    this._samples = [];
+    this.post(msg);
+  }
+}
+
+function _stateOf(gs) {
+  const state = {};
+  for (const [key, val] of Object.entries(gs)) {
+    if (!SNAPSHOT_SKIP.includes(key)) state[key] = val;
+  }
+  return state;
+}
+
+/**
+ * Start the simulation in a Web Worker and return { send(cmd) }; every
+ * message it posts goes to onMessage. Where module workers are unavailable
+ * — the constructor throws, or the worker fails before it reports ready —
+ * the host runs on this thread instead, behind the same interface (messages
+ * are still copied, so the page never shares objects with the live game).
+ * Errors in a running worker reach onMessage as 'error' messages.
+ */
+export function connectSimulation(onMessage) {
+  let worker;
+  try {
+    worker = new Worker(new URL('./simWorker.js', import.meta.url), { type: 'module' });
+  } catch {
+    return _localSimulation(onMessage);
+  }
+
+  // Commands sent before 'ready', to hand to the fallback host
+  let pending = [];
+  let local   = null;
+  worker.addEventListener('message', e => {
+    if (e.data.type === 'ready') pending = null;
+    else onMessage(e.data);
+  });
+  worker.addEventListener('error', e => {
+    e.preventDefault();
+    if (!pending) {
+      onMessage({ type: 'error', message: e.message });
+      return;
+    }
+    worker.terminate();
+    local = _localSimulation(onMessage);
+    pending.forEach(cmd => local.send(cmd));
+    pending = null;
+  });
+  return {
+    send: cmd => {
+      if (local) return local.send(cmd);
+      pending?.push(cmd);
+      worker.postMessage(cmd);
+    },
+  };
+}
+
+function _localSimulation(onMessage) {
+  const host = new SimulationHost(msg => {
+    const copy = structuredClone(msg);
+    setTimeout(() => onMessage(copy));
+  });
+  return {
+    send: cmd => {
+      if (cmd.cmd === 'pack') return;   // same module instance — the page already applied it
+      host.receive(structuredClone(cmd));
+    },
+  };
+}
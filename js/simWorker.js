@@ -0,0 +1,12 @@
+// ============================================================
+// simWorker.js — Web Worker entry point for the simulation
+// ============================================================
+//
+// Hosts a SimulationHost off the main thread; see simHost.js for the
+// message protocol.
+
+import { SimulationHost } from './simHost.js';
+
+const host = new SimulationHost(msg => self.postMessage(msg));
+self.addEventListener('message', e => host.receive(e.data));
+self.postMessage({ type: 'ready' });
@@ -0,0 +1,138 @@
+// ============================================================
+// soilGrid.js — Patchy soil under the plant, cell by cell
+// ============================================================
+//
+// The ground the roots grow through is a grid of cells in root-graph
+// coordinates (x across from the stem, y down from the ground, as drawn).
+// Each cell holds water and N/P/K relative to the soil average — 1 is
+// average, rich patches more, poor ones less — and some cells are rock,
+// which holds nothing. Patches are laid out per game from the run's RNG
+// seed, with a generator of their own so no other random draw moves.
+//
+// gameState.js does the uptake: roots take from the cells their segments
+// pass through, drawing them down, and drawn cells recover towards their
+// patch value over time.
+
+import { SOIL_LAYERS } from './data.js';
+import { createRng, nextRandom } from './rng.js';
+
+export const GRID_CELL = 20;   // px per side
+export const GRID_COLS = 18;   // centred on the stem: x from -180 to 180
+export const GRID_ROWS = 13;   // y from 0 to 260, below the deepest water table
+export const GRID_RESOURCES = ['water', 'n', 'p', 'k'];
+
+const GRID_SALT      = 0x5011;
+const PATCH_COUNT    = 5;           // rich or poor patches per resource
+// How strongly patches stand out: water evens itself out through the soil
+// far more than minerals do
+const PATCH_STRENGTH = { water: 0.4, n: 1, p: 1, k: 1 };
+const PATCH_RANGE    = [0.2, 2.5];  // cell values before averaging to 1
+const ROOT_TYPES_DRAWN = ['surface', 'taproot', 'structural'];
+
+/**
+ * A new grid for a soil texture (SOIL_TYPES entry). Returns plain arrays,
+ * one value per cell (row-major), so it saves and clones like the rest of
+ * the game state:
+ *   base  — each resource's patch value, which drawn cells recover to
+ *   water, n, p, k — current values
+ *   rock  — 1 for rock cells
+ */
+export function createSoilGrid(soil, rngSeed) {
+  const rng  = createRng((rngSeed ^ GRID_SALT) >>> 0);
+  const rand = () => nextRandom(rng);
+
+  const rock = new Array(GRID_COLS * GRID_ROWS).fill(0);
+  const rockCount = Math.round(rock.length * (soil.stoniness ?? 0));
+  for (let i = 0; i < rockCount; i++) {
+    const col = Math.floor(rand() * GRID_COLS);
+    const row = Math.floor(rand() * GRID_ROWS);
+    // Keep the seed's own cell and the one below it clear
+    if (row < 2 && Math.abs(col - GRID_COLS / 2 + 0.5) < 1) continue;
+    rock[row * GRID_COLS + col] = 1;
+  }
+
+  const base = {};
+  GRID_RESOURCES.forEach(res => {
+    const values = new Array(rock.length).fill(1);
+    for (let i = 0; i < PATCH_COUNT; i++) {
+      const pc     = rand() * GRID_COLS;
+      const pr     = rand() * GRID_ROWS;
+      const radius = 1.5 + rand() * 2.5;                          // cells
+      const amount = (rand() < 0.6 ? 1 : -0.6) * (0.5 + rand()) * PATCH_STRENGTH[res];   // more rich patches than poor
+      values.forEach((v, c) => {
+        const dc = c % GRID_COLS + 0.5 - pc;
+        const dr = Math.floor(c / GRID_COLS) + 0.5 - pr;
+        values[c] = v + amount * Math.exp(-(dc * dc + dr * dr) / (radius * radius));
+      });
+    }
+    // Average 1 over the cells that are not rock, so patches move nutrients
+    // around without making the soil richer or poorer overall
+    const clamped = values.map(v => Math.max(PATCH_RANGE[0], Math.min(PATCH_RANGE[1], v)));
+    const open    = clamped.filter((_, c) => !rock[c]);
+    const mean    = open.reduce((a, v) => a + v, 0) / Math.max(1, open.length);
+    base[res] = clamped.map((v, c) => rock[c] ? 0 : v / mean);
+  });
+
+  return {
+    base,
+    water: [...base.water],
+    n:     [...base.n],
+    p:     [...base.p],
+    k:     [...base.k],
+    rock,
+  };
+}
+
+/** Index of the cell holding root-graph point (x, y); points off the grid count in the edge cell. */
+export function cellAt(x, y) {
+  const col = Math.floor(x / GRID_CELL + GRID_COLS / 2);
+  const row = Math.floor(y / GRID_CELL);
+  return Math.max(0, Math.min(GRID_ROWS - 1, row)) * GRID_COLS + Math.max(0, Math.min(GRID_COLS - 1, col));
+}
+
+/** Top-left corner of a cell in root-graph coordinates. */
+export function cellOrigin(index) {
+  return {
+    x: (index % GRID_COLS - GRID_COLS / 2) * GRID_CELL,
+    y: Math.floor(index / GRID_COLS) * GRID_CELL,
+  };
+}
+
+/** 'topsoil' or 'subsoil' — the water bucket a cell belongs to. */
+export function cellLayer(index) {
+  return Math.floor(index / GRID_COLS) * GRID_CELL < SOIL_LAYERS.topsoil.bottom ? 'topsoil' : 'subsoil';
+}
+
+/**
+ * Where each root type's length lies: { surface, taproot, structural },
+ * each a list of [cell index, share of the type's length] for the cells it
+ * passes through (shares sum to 1), or null while that type has no
+ * segments yet. Segments are the quadratic curves the renderer draws,
+ * walked in steps of a quarter cell.
+ */
+export function rootShares(rootGraph) {
+  const shares = {};
+  ROOT_TYPES_DRAWN.forEach(type => {
+    const segs = rootGraph[type];
+    if (!segs.length) { shares[type] = null; return; }
+    const cells = new Array(GRID_COLS * GRID_ROWS).fill(0);
+    let total = 0;
+    segs.forEach(s => {
+      const steps = Math.max(1, Math.ceil(Math.hypot(s.x2 - s.x1, s.y2 - s.y1) / (GRID_CELL / 4)));
+      let px = s.x1, py = s.y1;
+      for (let i = 1; i <= steps; i++) {
+        const t = i / steps, u = 1 - t;
+        const x = u * u * s.x1 + 2 * u * t * s.cpx + t * t * s.x2;
+        const y = u * u * s.y1 + 2 * u * t * s.cpy + t * t * s.y2;
+        const len = Math.hypot(x - px, y - py);
+        cells[cellAt((x + px) / 2, (y + py) / 2)] += len;
+        total += len;
+        px = x; py = y;
+      }
+    });
+    shares[type] = total > 0
+      ? cells.flatMap((len, c) => len > 0 ? [[c, len / total]] : [])
+      : null;
+  });
+  return shares;
+}
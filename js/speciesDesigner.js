@@ -0,0 +1,183 @@
+// ============================================================
+// speciesDesigner.js — Custom species designer with a trait budget
+// ============================================================
+//
+// Players build a seed by trading traits against each other under the
+// trait budget in packs.js, which every custom species is checked against
+// however it arrives. The choices (stomata, lifespan, flowering season…)
+// are free — the simulation already makes them trade-offs.
+//
+// Saved species are stored and shared by custom.js and offered in every
+// biome.
+
+import { SEEDS } from './data.js';
+import { TRAIT_BUDGET, TRAITS, traitPoints, traitCost, checkDesign, getPath, setPath } from './packs.js';
+import { isCustom, saveCustom, deleteCustom, shareCustomJSON, CustomDialog } from './custom.js';
+
+// Free choices: [path, label, [[value, text]]]
+const CHOICES = [
+  ['stomatalType',    'Stomata',   [['normal', 'Normal'], ['cam', 'CAM (saves water, slow)']]],
+  ['lifespan',        'Lifespan',  [['annual', 'Annual'], ['perennial', 'Perennial']]],
+  ['deciduous',       'Leaves',    [[false, 'Evergreen'], [true, 'Deciduous']]],
+  ['floweringSeason', 'Flowers in', [[-1, 'Any season'], [0, 'Spring'], [1, 'Summer'], [2, 'Autumn'], [3, 'Winter']]],
+];
+const TEMP_OPTIMUM = { path: 'tempOptimum', label: '🌡️ Ideal temp (°C)', min: -10, max: 40, step: 1 };
+
+// ── Designer dialog ───────────────────────────────────────
+export class SpeciesDesigner extends CustomDialog {
+  /**
+   * overlay — the dialog's root element (see #species-designer in index.html)
+   * hooks   — { onSave(seed, pack), onDelete(id), onShare(text, fileName),
+   *             renderBars(container, seed) — the start screen's seed preview bars }
+   */
+  constructor(overlay, hooks) {
+    super(overlay, hooks, { table: SEEDS, fallback: 'species', errorList: '#designer-errors' });
+    this._build();
+  }
+
+  /** Edit an existing custom species, or start a new one from `base`. */
+  open(seed = null, base = SEEDS.grass) {
+    const source = seed ?? base;
+    this.draft = JSON.parse(JSON.stringify(source));
+    delete this.draft.biomes;
+    // Built-in seeds may sit past the designer's ranges
+    [...TRAITS, TEMP_OPTIMUM].forEach(t => {
+      setPath(this.draft, t.path, Math.min(t.max, Math.max(t.min, getPath(this.draft, t.path))));
+    });
+    if (!seed) {
+      this.draft.id   = null;
+      this.draft.name = `My ${base.name}`;
+      this.draft.icon = '🌱';
+      this.draft.desc = `A custom species bred from ${base.name}.`;
+    }
+    this.overlay.style.display = 'flex';
+    this.overlay.querySelector('#designer-base-row').style.display = seed ? 'none' : '';
+    const baseSelect = this.overlay.querySelector('#designer-base');
+    baseSelect.replaceChildren(...Object.values(SEEDS).filter(s => !isCustom(s.id))
+      .map(s => new Option(`${s.icon} ${s.name}`, s.id)));
+    baseSelect.value = base.id;
+    this.overlay.querySelector('#designer-delete').style.display = seed ? '' : 'none';
+    this.overlay.querySelector('#designer-title').textContent = seed ? `Edit ${seed.name}` : 'Design a Species';
+    this._showErrors([]);
+    this._fill();
+  }
+
+  _build() {
+    const $ = sel => this.overlay.querySelector(sel);
+
+    const base = $('#designer-base');
+    base.addEventListener('change', () => this.open(null, SEEDS[base.value]));
+
+    const sliders = $('#designer-traits');
+    sliders.innerHTML = '';
+    [...TRAITS, TEMP_OPTIMUM].forEach(t => {
+      const row = document.createElement('label');
+      row.className = 'editor-slider';
+      row.innerHTML = `
+        <span class="editor-label">${t.label}</span>
+        <input type="range" min="${t.min}" max="${t.max}" step="${t.step}">
+        <span class="editor-value"></span>
+        <span class="designer-cost"></span>
+      `;
+      row.querySelector('input').addEventListener('input', e => {
+        setPath(this.draft, t.path, Number(e.target.value));
+        this._fillValue(row, t);
+        this._update();
+      });
+      sliders.appendChild(row);
+    });
+
+    const choices = $('#designer-choices');
+    choices.innerHTML = '';
+    CHOICES.forEach(([path, label, options]) => {
+      const row = document.createElement('div');
+      row.className = 'editor-row';
+      row.innerHTML = `<label>${label}</label><select data-path="${path}"></select>`;
+      const select = row.querySelector('select');
+      select.innerHTML = options.map(([v, text], i) => `<option value="${i}">${text}</option>`).join('');
+      select.addEventListener('change', () => {
+        this.draft[path] = options[Number(select.value)][0];
+        this._update();
+      });
+      choices.appendChild(row);
+    });
+
+    [['#designer-name', 'name'], ['#designer-icon', 'icon'], ['#designer-desc', 'desc']]
+      .forEach(([sel, key]) => $(sel).addEventListener('input', e => { this.draft[key] = e.target.value; }));
+
+    $('#designer-save').addEventListener('click', () => this._save());
+    $('#designer-share').addEventListener('click', () => {
+      const seed = this._finalDraft();
+      this.hooks.onShare(shareCustomJSON('seeds', seed), `${seed.id}.plantlife-pack.json`);
+    });
+    $('#designer-delete').addEventListener('click', () => {
+      if (!confirm(`Delete custom species "${this.draft.name}"?`)) return;
+      deleteCustom('seeds', this.draft.id);
+      this.close();
+      this.hooks.onDelete(this.draft.id);
+    });
+    $('#designer-close').addEventListener('click', () => this.close());
+    this.overlay.addEventListener('click', e => { if (e.target === this.overlay) this.close(); });
+  }
+
+  // Copy the draft into every control
+  _fill() {
+    const $ = sel => this.overlay.querySelector(sel);
+    $('#designer-name').value = this.draft.name;
+    $('#designer-icon').value = this.draft.icon;
+    $('#designer-desc').value = this.draft.desc;
+
+    const traits = [...TRAITS, TEMP_OPTIMUM];
+    this.overlay.querySelectorAll('#designer-traits .editor-slider').forEach((row, i) => {
+      row.querySelector('input').value = getPath(this.draft, traits[i].path);
+      this._fillValue(row, traits[i]);
+    });
+    CHOICES.forEach(([path, , options]) => {
+      const select = this.overlay.querySelector(`#designer-choices select[data-path="${path}"]`);
+      select.value = Math.max(0, options.findIndex(([v]) => v === this.draft[path]));
+    });
+    this._update();
+  }
+
+  _fillValue(row, trait) {
+    const v = getPath(this.draft, trait.path);
+    row.querySelector('.editor-value').textContent = trait.step < 1 ? v.toFixed(2) : v;
+    const cost = row.querySelector('.designer-cost');
+    if (!trait.better) return;
+    const pts = traitPoints(trait, v);
+    cost.textContent = `${pts >= 0 ? '+' : '−'}${Math.abs(pts).toFixed(1)}`;
+    cost.className   = `designer-cost ${pts > 0 ? 'spent' : 'refund'}`;
+  }
+
+  // Budget meter and preview bars
+  _update() {
+    const cost = traitCost(this.draft);
+    const over = cost > TRAIT_BUDGET + 1e-9;
+    const meter = this.overlay.querySelector('#designer-budget');
+    meter.textContent = `${cost.toFixed(1)} / ${TRAIT_BUDGET} points`;
+    meter.classList.toggle('over', over);
+    const bar = this.overlay.querySelector('#designer-budget-bar');
+    bar.style.width = `${Math.round(Math.min(1, Math.max(0, (cost + TRAIT_BUDGET) / (2 * TRAIT_BUDGET))) * 100)}%`;
+    bar.classList.toggle('over', over);
+    this.overlay.querySelector('#designer-save').disabled = over;
+    this.hooks.renderBars(this.overlay.querySelector('#designer-stats'), this.draft);
+  }
+
+  _save() {
+    const seed = this._finalDraft();
+    const problems = checkDesign(seed);
+    if (problems.length) {
+      this._showErrors(problems);
+      return;
+    }
+    let pack;
+    try {
+      pack = saveCustom('seeds', seed);
+    } catch (err) {
+      this._showErrors(err.errors ?? [err.message]);
+      return;
+    }
+    this.close();
+    this.hooks.onSave(SEEDS[seed.id], pack);
+  }
+}
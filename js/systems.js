@@ -0,0 +1,71 @@
+// ============================================================
+// systems.js — Registry of optional biology systems
+// ============================================================
+//
+// Each biology system is one entry here: the settings flag that switches it
+// on, the state it keeps on gs, when it runs in the tick and how it shows up
+// in the settings panel and stat grid. createGameState, simulateTick and the
+// UI read this registry, so a system is added or dropped in one place.
+// The built-in systems register themselves at the end of gameState.js.
+
+// Systems with an order below this run before resource flows and growth;
+// the rest run after health is updated.
+export const CORE_TICK_ORDER = 100;
+
+// Sorted by `order` — also the order of the settings panel and stat grid
+export const SYSTEMS = [];
+
+// Biology feature flags, one per system, filled in by registerSystem()
+export const DEFAULT_SETTINGS = {};
+
+// Named settings bundles offered on the start screen (and to the headless tools).
+// 'full' enables every system; the others take each system's `presets` entry.
+export const SETTINGS_PRESETS = { full: {}, easy: {} };
+
+/**
+ * Add a system. Fields:
+ *   id       — unique name
+ *   setting  — key in gs.settings that enables it
+ *   label, desc — settings panel text
+ *   order    — tick order (see CORE_TICK_ORDER)
+ *   state()  — fields it adds to a new game state (optional)
+ *   tick(gs) — run each tick while enabled (optional; some systems only
+ *              change how the core resource flows behave)
+ *   off(gs)  — run each tick while disabled (optional)
+ *   stats    — stat grid cells: [{ id, label, value(gs) }] (optional)
+ *   presets  — its flag in each named preset other than 'full', e.g. { easy: false }
+ */
+export function registerSystem(system) {
+  if (SYSTEMS.some(s => s.id === system.id)) throw new Error(`Biology system "${system.id}" is already registered.`);
+  if (system.setting in DEFAULT_SETTINGS) throw new Error(`Setting "${system.setting}" is already used by another system.`);
+
+  SYSTEMS.push(system);
+  SYSTEMS.sort((a, b) => a.order - b.order);
+
+  DEFAULT_SETTINGS[system.setting] = true;
+  Object.entries(SETTINGS_PRESETS).forEach(([name, preset]) => {
+    preset[system.setting] = system.presets?.[name] ?? true;
+  });
+  return system;
+}
+
+// Settings of a game saved or recorded with `saved` flags. A system the
+// game predates was not running in it, so it stays off rather than taking
+// its default.
+export function savedSettings(saved) {
+  return Object.fromEntries(Object.keys(DEFAULT_SETTINGS).map(key => [key, saved?.[key] ?? false]));
+}
+
+// Initial state fields of every registered system, merged
+export function systemState() {
+  return Object.assign({}, ...SYSTEMS.map(s => s.state?.() ?? {}));
+}
+
+// Run the systems on one side of the core tick: 'before' or 'after'
+export function tickSystems(gs, stage) {
+  SYSTEMS.forEach(s => {
+    if ((s.order < CORE_TICK_ORDER) !== (stage === 'before')) return;
+    if (gs.settings[s.setting]) s.tick?.(gs);
+    else s.off?.(gs);
+  });
+}
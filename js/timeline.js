@@ -0,0 +1,162 @@
+// ============================================================
+// timeline.js — Daily snapshots for rewinding and branching
+// ============================================================
+//
+// A snapshot is the game state split into JSON chunks, one per top-level
+// field (and one per plant field). Consecutive days usually leave most
+// chunks unchanged — settings, the node graph, unlocks — so a chunk equal
+// to the previous snapshot's reuses that exact string and a multi-year run
+// only pays for what actually moved.
+//
+// Older days are thinned out as the run grows: every day of the last month
+// is kept, then one a week for the last year, then one every four weeks.
+
+import { deserializeGame, SAVE_VERSION } from './save.js';
+import { ReplayPlayer, createReplay } from './replay.js';
+
+// Rebuilt on restore like a save load
+const SKIP_KEYS = ['biome', 'seed', 'placement', 'paused', 'speed', 'flows', 'budget', 'healthTerms'];
+
+// Only ever appended to, so a snapshot just remembers their length and
+// restore() cuts the live arrays back to it
+const APPEND_ONLY = ['inputs', 'journal'];
+
+const KEEP_DAILY  = 30;    // days
+const KEEP_WEEKLY = 360;   // days
+
+export class Timeline {
+  constructor() {
+    this.snapshots = [];   // oldest first: { day, tick, lengths, chunks }
+    this.size      = 0;    // approximate size in characters, counting shared chunks once
+    this._refs     = new Map();   // chunk text → snapshots holding it
+  }
+
+  get days() {
+    return this.snapshots.map(s => s.day);
+  }
+
+  get latest() {
+    return this.snapshots[this.snapshots.length - 1] ?? null;
+  }
+
+  // Record gs as the snapshot for its current day (replacing one already taken today)
+  capture(gs) {
+    const prev = this.latest;
+    if (prev && prev.day === gs.day) this._release(this.snapshots.pop());
+
+    const base = this.latest?.chunks;
+    const chunks = { plant: {} };
+    for (const [key, val] of Object.entries(gs)) {
+      if (SKIP_KEYS.includes(key) || APPEND_ONLY.includes(key)) continue;
+      if (key === 'plant') {
+        for (const [pk, pv] of Object.entries(val)) {
+          chunks.plant[pk] = _share(JSON.stringify(pv), base?.plant[pk]);
+        }
+      } else {
+        chunks[key] = _share(JSON.stringify(val), base?.[key]);
+      }
+    }
+
+    const lengths = {};
+    APPEND_ONLY.forEach(key => { lengths[key] = gs[key].length; });
+    const snap = { day: gs.day, tick: gs.tick, lengths, chunks,
+                   biomeId: gs.biome.id, seedId: gs.seed.id };
+    this._hold(snap);
+    this.snapshots.push(snap);
+    this._thin(gs.day);
+  }
+
+  // Rebuild the game as it was on `day` (or the nearest kept day before it).
+  // `live` is the current game, whose inputs and journal are cut back.
+  restore(day, live) {
+    const snap = this.find(day);
+    if (!snap) return null;
+
+    const state = { plant: {} };
+    for (const [key, text] of Object.entries(snap.chunks)) {
+      if (key !== 'plant') state[key] = JSON.parse(text);
+    }
+    for (const [key, text] of Object.entries(snap.chunks.plant)) {
+      state.plant[key] = JSON.parse(text);
+    }
+    APPEND_ONLY.forEach(key => { state[key] = live[key].slice(0, snap.lengths[key]); });
+
+    return deserializeGame({ version: SAVE_VERSION, biomeId: snap.biomeId, seedId: snap.seedId, state });
+  }
+
+  // The start of any day up to today, exactly: restore the nearest snapshot
+  // at or before it and replay the recorded inputs forward. Days earlier than
+  // every snapshot (before a save was loaded, say) replay from the very start.
+  rebuild(day, live) {
+    const target = (day - 1) * 10;   // 10 ticks = 1 day
+    if (day < 1 || target > live.tick) return null;
+
+    const start  = this.find(day) ? this.restore(day, live) : null;
+    const player = new ReplayPlayer(createReplay(live), start);
+    while (player.gs.tick < target) player.step();
+    return player.gs;
+  }
+
+  find(day) {
+    let found = null;
+    for (const s of this.snapshots) {
+      if (s.day > day) break;
+      found = s;
+    }
+    return found;
+  }
+
+  // Forget everything after `day` — the run continues on a new branch from there
+  branchFrom(day) {
+    this.snapshots = this.snapshots.filter(s => s.day <= day || this._release(s));
+  }
+
+  clear() {
+    this.snapshots = [];
+    this.size      = 0;
+    this._refs.clear();
+  }
+
+  _thin(today) {
+    this.snapshots = this.snapshots.filter((s, i) => {
+      if (i === 0) return true;                 // always keep the start of the run
+      const age = today - s.day;
+      if (age <= KEEP_DAILY)  return true;
+      if (age <= KEEP_WEEKLY && s.day % 7 === 0) return true;
+      if (s.day % 28 === 0) return true;        // a multiple of 7, so it survives the weekly pass
+      return this._release(s);
+    });
+  }
+
+  // size counts each distinct chunk once, for as long as any snapshot holds it
+  _hold(snap) {
+    _chunkTexts(snap).forEach(text => {
+      const n = this._refs.get(text) ?? 0;
+      if (n === 0) this.size += text.length;
+      this._refs.set(text, n + 1);
+    });
+  }
+
+  // Always false, so filters can drop the snapshot as they release it
+  _release(snap) {
+    _chunkTexts(snap).forEach(text => {
+      const n = this._refs.get(text);
+      if (n > 1) {
+        this._refs.set(text, n - 1);
+      } else {
+        this._refs.delete(text);
+        this.size -= text.length;
+      }
+    });
+    return false;
+  }
+}
+
+function _chunkTexts(snap) {
+  const { plant, ...rest } = snap.chunks;
+  return [...Object.values(rest), ...Object.values(plant)];
+}
+
+function _share(text, prev) {
+  return text === prev ? prev : text;
+}
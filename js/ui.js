@@ -2,7 +2,22 @@
 // ui.js — DOM UI builder and updater
 // ============================================================
 
-import { BIOMES, SEEDS, ROOT_TYPES, DEFAULT_SETTINGS, SETTINGS_META } from './data.js';
+import { BIOMES, SEEDS, ROOT_TYPES, SOIL_LAYERS, ROOT_UPTAKE } from './data.js';
+import { DEFAULT_SETTINGS, SETTINGS_PRESETS, SYSTEMS } from './systems.js';
+import { parseSeed, randomSeed } from './rng.js';
+import { listSaves, deleteSave } from './save.js';
+import { INPUT } from './inputs.js';
+import { canUndoPlacement, canRedoPlacement, BUDGET_RESOURCES, soilTexture, taprootReach } from './gameState.js';
+import { describeEvent } from './events.js';
+import { queryJournal, JOURNAL_SUBSYSTEMS, yearOfDay } from './journal.js';
+import { HISTORY_METRICS } from './history.js';
+import { HistoryChart, CHART_ZOOMS } from './charts.js';
+import { FORECAST_DAYS } from './forecast.js';
+import { PERSONALITIES } from './autopilot.js';
+import { BiomeEditor } from './biomeEditor.js';
+import { SpeciesDesigner } from './speciesDesigner.js';
+import { isCustom } from './custom.js';
+import { LOADED_PACKS } from './packs.js';
 
 const SEASONS = ['Spring', 'Summer', 'Autumn', 'Winter'];
 
@@ -17,22 +32,239 @@ const RESOURCES = [
   { key: 'health',    label: 'Health',    icon: '❤️',  col: 'var(--health-col)'    },
 ];
 
+// Names for the gs.budget terms reported by the simulation
+const BUDGET_TERMS = {
+  photosynthesis:  'Photosynthesis',
+  seedReserve:     'Seed reserve',
+  respiration:     'Respiration',
+  rootRespiration: 'Root respiration',
+  growth:          'Growth action',
+  topsoil:         'Topsoil water',
+  subsoil:         'Subsoil water',
+  groundwater:     'Groundwater (tap roots)',
+  mycorrhizae:     'Mycorrhizal bonus',
+  transpiration:   'Transpiration',
+  flood:           'Flood inflow',
+  uptake:          'Root uptake',
+  flowering:       'Flowering',
+  mycorrhizalTax:  'Mycorrhizal sugar tax',
+  defense:         'Herbivore defence',
+  placement:       'Placed segments',
+};
+
+// Water table depth (env.groundwaterDepth, 1–6) in words
+const GROUNDWATER_DEPTHS = ['shallow', 'shallow', 'fairly shallow', 'medium', 'deep', 'very deep'];
+
+// Soil map choices — '' hides it, the rest are gs.soilGrid resources
+const SOIL_MAP_OPTIONS = {
+  '':    '🗺️ Soil map off',
+  water: '💧 Soil map: water',
+  n:     '🟢 Soil map: nitrogen',
+  p:     '🟣 Soil map: phosphorus',
+  k:     '🟡 Soil map: potassium',
+};
+
+// Health causes recorded in gs.healthTerms, with a counter-action for each
+const HEALTH_CAUSES = {
+  energy: {
+    label: 'Low energy',
+    advice: gs => gs.unlocked.leaves
+      ? 'Energy < 10: grow leaves to photosynthesise more, or pause growth.'
+      : 'Energy < 10: pause growth until the seed reserve builds up.',
+  },
+  water: {
+    label: 'Low water',
+    advice: gs => gs.activeWeatherEvent === 'drought' || ROOT_TYPES[gs.rootType]?.pattern !== 'taproot'
+      ? 'Water < 10: grow taproot to reach groundwater.'
+      : 'Water < 10: keep growing roots and slow leaf growth.',
+  },
+  nutrients: {
+    label: 'Low N / P',
+    advice: () => 'N or P < 8: grow surface roots to forage the topsoil.',
+  },
+  potassium: {
+    label: 'Low potassium',
+    advice: () => 'K < 8: grow surface roots to forage the topsoil.',
+  },
+  o2: {
+    label: 'Low oxygen',
+    advice: gs => gs.activeWeatherEvent === 'flood'
+      ? 'O₂ < 15: flooding is drowning the roots — wait for it to drain.'
+      : 'O₂ < 15: grow leaves; photosynthesis releases oxygen.',
+  },
+  temperature: {
+    label: 'Temperature',
+    advice: gs => gs.env.temperature > (gs.seed.tempOptimum ?? 22)
+      ? 'Too hot: avoid growing until it cools.'
+      : 'Too cold: save energy — dormancy hardens perennials.',
+  },
+  herbivory: {
+    label: 'Herbivores',
+    advice: () => 'Herbivores feeding: regrow leaves once they move on.',
+  },
+  recovery: {
+    label: 'Recovering',
+    advice: () => 'No stress — health recovers by itself.',
+  },
+};
+
 export class UI {
   constructor(game) {
     this.game = game;
     this.settings = { ...DEFAULT_SETTINGS };
     this._buildStartScreen();
     this._buildResourceBars();
+    this._buildHistoryPanel();
     this._buildStatGrid();
     this._buildActionButtons();
+    this._bindUndoControls();
     this._buildRootOptions();
     this._bindSpeedControls();
+    this._bindTimeline();
+    this._bindSoilMap();
+    this._buildJournal();
   }
 
   // ── Start Screen ─────────────────────────────────────────
   _buildStartScreen() {
+    this.biomeEditor = new BiomeEditor(document.getElementById('biome-editor'), {
+      onSave:   (biome, pack)     => this.game.customBiomeSaved(biome, pack),
+      onDelete: ()                => this.updateContent(),
+      onShare:  (text, fileName) => this.game.download(text, fileName),
+    });
+    this.speciesDesigner = new SpeciesDesigner(document.getElementById('species-designer'), {
+      onSave:     (seed, pack)      => this.game.customSeedSaved(seed, pack),
+      onDelete:   ()                => this.updateSpecies(),
+      onShare:    (text, fileName)  => this.game.download(text, fileName),
+      renderBars: (container, seed) => this.renderSeedBars(container, seed),
+    });
     this._buildBiomeCards();
     this._buildSettingsPanel();
+    this._buildWorldSeedInput();
+    this._buildImportZone();
+    this.buildSaveList();
+  }
+
+  _buildImportZone() {
+    const zone  = document.getElementById('import-zone');
+    const input = document.getElementById('import-file');
+    if (!zone) return;
+
+    const readFile = file => {
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload  = () => this.game.importGameFile(reader.result, file.name);
+      reader.onerror = () => this.showImportErrors([`${file.name}: could not be read`]);
+      reader.readAsText(file);
+    };
+
+    // Dropping anywhere on the start screen works; the zone just highlights
+    const screen = document.getElementById('screen-start');
+    screen.addEventListener('dragover', e => {
+      e.preventDefault();
+      zone.classList.add('drag-over');
+    });
+    screen.addEventListener('dragleave', e => {
+      if (!screen.contains(e.relatedTarget)) zone.classList.remove('drag-over');
+    });
+    screen.addEventListener('drop', e => {
+      e.preventDefault();
+      zone.classList.remove('drag-over');
+      readFile(e.dataTransfer.files[0]);
+    });
+    input?.addEventListener('change', () => {
+      readFile(input.files[0]);
+      input.value = '';
+    });
+
+    // Replays are small enough to share as text — accept a paste too
+    document.addEventListener('paste', e => {
+      if (!screen.classList.contains('active') || e.target.closest?.('input, textarea')) return;
+      const text = e.clipboardData?.getData('text');
+      if (text?.trim()) this.game.importGameFile(text, 'pasted text');
+    });
+  }
+
+  showImportErrors(errors) {
+    const list = document.getElementById('import-errors');
+    if (!list) return;
+    list.innerHTML = '';
+    list.style.display = errors.length ? 'block' : 'none';
+    errors.forEach(msg => {
+      const li = document.createElement('li');
+      li.textContent = msg;
+      list.appendChild(li);
+    });
+  }
+
+  // Content packs or custom biomes changed the tables: rebuild the choices they feed
+  updateContent(packs = LOADED_PACKS) {
+    this._buildBiomeCards();
+    this._buildRootOptions();
+    this.game.selectedBiome = null;
+    this.game.selectedSeed  = null;
+    document.getElementById('seed-section').style.display = 'none';
+    document.getElementById('seed-preview').style.display = 'none';
+
+    const list = document.getElementById('pack-list');
+    if (!list) return;
+    list.innerHTML = '';
+    list.style.display = packs.length ? 'block' : 'none';
+    packs.forEach(p => {
+      const li = document.createElement('li');
+      li.textContent = `📦 ${p.name} — ${p.added} added, ${p.replaced} changed`;
+      li.title = p.source;
+      list.appendChild(li);
+    });
+  }
+
+  buildSaveList() {
+    const section = document.getElementById('saves-section');
+    const list    = document.getElementById('save-list');
+    if (!section || !list) return;
+
+    const saves = listSaves();
+    section.style.display = saves.length ? 'block' : 'none';
+    list.innerHTML = '';
+    saves.forEach(save => {
+      const biome = BIOMES[save.biomeId];
+      const seed  = SEEDS[save.seedId];
+      const row = document.createElement('div');
+      row.className = 'save-row';
+      row.innerHTML = `
+        <span class="save-icon"></span>
+        <div class="save-info">
+          <div class="save-name"></div>
+          <div class="save-meta"></div>
+        </div>
+        <button class="btn-speed save-load">Load</button>
+        <button class="btn-danger save-delete">✕</button>
+      `;
+      row.querySelector('.save-icon').textContent = seed?.icon ?? '🌱';
+      row.querySelector('.save-name').textContent = save.name;
+      row.querySelector('.save-meta').textContent =
+        `${biome?.name ?? save.biomeId} · ${seed?.name ?? save.seedId} · Day ${save.day} · ${new Date(save.savedAt).toLocaleString()}`;
+      row.querySelector('.save-load').addEventListener('click', () => this.game.loadSavedGame(save.name));
+      row.querySelector('.save-delete').addEventListener('click', () => {
+        if (!confirm(`Delete saved game "${save.name}"?`)) return;
+        deleteSave(save.name);
+        this.buildSaveList();
+      });
+      list.appendChild(row);
+    });
+  }
+
+  _buildWorldSeedInput() {
+    document.getElementById('btn-reroll-seed')?.addEventListener('click', () => {
+      const input = document.getElementById('world-seed-input');
+      if (input) input.value = randomSeed();
+    });
+  }
+
+  // Seed typed on the start screen, or a fresh random one if left blank
+  getRngSeed() {
+    const input = document.getElementById('world-seed-input');
+    return parseSeed(input?.value) ?? randomSeed();
   }
 
   _buildBiomeCards() {
@@ -41,14 +273,49 @@ export class UI {
     Object.values(BIOMES).forEach(biome => {
       const card = document.createElement('div');
       card.className = 'biome-card';
+      card.dataset.biome = biome.id;
       card.innerHTML = `
-        <span class="biome-icon">${biome.icon}</span>
-        <div class="biome-name">${biome.name}</div>
-        <div class="biome-desc">${biome.desc}</div>
+        <span class="biome-icon"></span>
+        <div class="biome-name"></div>
+        <div class="biome-desc"></div>
+        <div class="biome-soil">${soilTexture(biome).name} soil</div>
       `;
+      // Names and descriptions can come from packs: text, never markup
+      card.querySelector('.biome-icon').textContent = biome.icon;
+      card.querySelector('.biome-name').textContent = biome.name;
+      card.querySelector('.biome-desc').textContent = biome.desc;
       card.addEventListener('click', () => this._selectBiome(biome, card));
+      if (isCustom(biome.id)) {
+        const edit = document.createElement('button');
+        edit.className = 'biome-edit';
+        edit.title     = 'Edit this biome';
+        edit.textContent = '✏️';
+        edit.addEventListener('click', e => {
+          e.stopPropagation();
+          this.biomeEditor.open(biome);
+        });
+        card.appendChild(edit);
+      }
       grid.appendChild(card);
     });
+
+    const custom = document.createElement('div');
+    custom.className = 'biome-card biome-custom-new';
+    custom.innerHTML = `
+      <span class="biome-icon">✏️</span>
+      <div class="biome-name">Custom Biome</div>
+      <div class="biome-desc">Model your own climate — sun, rain, soil and seasons.</div>
+    `;
+    custom.addEventListener('click', () => {
+      const selected = this.game.selectedBiome;
+      this.biomeEditor.open(null, selected && !isCustom(selected.id) ? selected : undefined);
+    });
+    grid.appendChild(custom);
+  }
+
+  selectBiomeById(id) {
+    const card = document.querySelector(`.biome-card[data-biome="${id}"]`);
+    if (card && BIOMES[id]) this._selectBiome(BIOMES[id], card);
   }
 
   _selectBiome(biome, card) {
@@ -64,22 +331,59 @@ export class UI {
     this.game.selectedSeed = null;
   }
 
+  // The biome's own seeds, then every custom species (they grow anywhere)
   _buildSeedCards(biome) {
     const grid = document.getElementById('seed-grid');
     grid.innerHTML = '';
-    biome.seeds.forEach(sid => {
+    const custom = Object.keys(SEEDS).filter(id => isCustom(id) && !biome.seeds.includes(id));
+    [...biome.seeds, ...custom].forEach(sid => {
       const seed = SEEDS[sid];
       if (!seed) return;
       const card = document.createElement('div');
       card.className = 'seed-card';
+      card.dataset.seed = seed.id;
       card.innerHTML = `
-        <span class="seed-icon">${seed.icon}</span>
-        <div class="seed-name">${seed.name}</div>
+        <span class="seed-icon"></span>
+        <div class="seed-name"></div>
         <span class="seed-rarity rarity-${seed.rarity}">${seed.rarity}</span>
       `;
+      card.querySelector('.seed-icon').textContent = seed.icon;
+      card.querySelector('.seed-name').textContent = seed.name;
       card.addEventListener('click', () => this._selectSeed(seed, card));
+      if (isCustom(seed.id)) {
+        const edit = document.createElement('button');
+        edit.className = 'seed-edit';
+        edit.title     = 'Edit this species';
+        edit.textContent = '✏️';
+        edit.addEventListener('click', e => {
+          e.stopPropagation();
+          this.speciesDesigner.open(seed);
+        });
+        card.appendChild(edit);
+      }
       grid.appendChild(card);
     });
+
+    const design = document.createElement('div');
+    design.className = 'seed-card seed-custom-new';
+    design.innerHTML = `
+      <span class="seed-icon">🧬</span>
+      <div class="seed-name">Design a Species</div>
+    `;
+    design.addEventListener('click', () => {
+      const selected = this.game.selectedSeed;
+      this.speciesDesigner.open(null, selected && !isCustom(selected.id) ? selected : undefined);
+    });
+    grid.appendChild(design);
+  }
+
+  // Custom species were saved or deleted: refresh the seed choices, keeping the biome
+  updateSpecies(selectId = null) {
+    const biome = this.game.selectedBiome;
+    if (!biome) return;
+    this.selectBiomeById(biome.id);
+    const card = document.querySelector(`.seed-card[data-seed="${selectId}"]`);
+    if (card) this._selectSeed(SEEDS[selectId], card);
   }
 
   _selectSeed(seed, card) {
@@ -94,7 +398,11 @@ export class UI {
     preview.style.display = 'block';
     document.getElementById('preview-name').textContent = `${seed.icon} ${seed.name}`;
     document.getElementById('preview-desc').textContent = seed.desc;
+    this.renderSeedBars(document.getElementById('preview-stats'), seed);
+  }
 
+  // Trait bars for a seed (the start screen preview and the species designer)
+  renderSeedBars(container, seed) {
     const stats = [
       { label: 'Growth Rate',     val: seed.growthRate  / 2,   col: '#3fb950' },
       { label: 'Root Efficiency', val: seed.rootEfficiency,    col: '#4fc3f7' },
@@ -104,7 +412,6 @@ export class UI {
       { label: 'Max Height',      val: Math.min(1, seed.maxHeight / 120), col: '#ffb74d' },
     ];
 
-    const container = document.getElementById('preview-stats');
     container.innerHTML = '';
     stats.forEach(s => {
       const pct = Math.round(Math.min(1, Math.max(0, s.val)) * 100);
@@ -136,7 +443,26 @@ export class UI {
         <span class="res-value" id="val-${res.key}">50</span>
       `;
       container.appendChild(row);
+
+      // Resources with a budget expand into their income/expense terms,
+      // health into its stress causes
+      if (!BUDGET_RESOURCES.includes(res.key) && res.key !== 'health') return;
+      row.classList.add('has-budget');
+      row.id = `row-${res.key}`;
+      const breakdown = document.createElement('div');
+      breakdown.className = 'res-budget';
+      breakdown.id        = `budget-${res.key}`;
+      breakdown.style.display = 'none';
+      container.appendChild(breakdown);
+      row.addEventListener('click', () => {
+        this.budgetOpen = this.budgetOpen === res.key ? null : res.key;
+        [...BUDGET_RESOURCES, 'health'].forEach(key => {
+          document.getElementById(`budget-${key}`).style.display = key === this.budgetOpen ? 'block' : 'none';
+        });
+        if (this.game.gs) this.updateResourceBars(this.game.gs);
+      });
     });
+    this.budgetOpen = null;
   }
 
   updateResourceBars(gs) {
@@ -147,6 +473,124 @@ export class UI {
       if (bar)  bar.style.width = `${Math.round(val)}%`;
       if (span) span.textContent = Math.round(val);
     });
+
+    BUDGET_RESOURCES.forEach(key => {
+      const terms = Object.entries(gs.budget?.[key] ?? {}).sort((a, b) => b[1] - a[1]);
+      const net   = terms.reduce((sum, [, v]) => sum + v, 0);
+      const fmt   = v => `${v >= 0 ? '+' : '−'}${Math.abs(v).toFixed(2)}`;
+      const row   = document.getElementById(`row-${key}`);
+      if (row) {
+        row.title = terms.map(([t, v]) => `${fmt(v)}  ${BUDGET_TERMS[t] ?? t}`).join('\n')
+                  + `\n${fmt(net)}  net per tick — click for breakdown`;
+      }
+      if (key !== this.budgetOpen) return;
+      const panel = document.getElementById(`budget-${key}`);
+      panel.innerHTML = terms.map(([t, v]) => `
+        <div class="budget-term ${v >= 0 ? 'income' : 'expense'}">
+          <span>${BUDGET_TERMS[t] ?? t}</span><span>${fmt(v)}</span>
+        </div>`).join('') + `
+        <div class="budget-term net"><span>Net per tick</span><span>${fmt(net)}</span></div>`;
+    });
+
+    this._updateHealthDiagnostics(gs);
+  }
+
+  // "Why is health changing?" — causes ranked by their recent average
+  _updateHealthDiagnostics(gs) {
+    const { day = {}, month = {} } = gs.stressTrend ?? {};
+    const causes = Object.keys(HEALTH_CAUSES)
+      .filter(c => day[c] || month[c] || gs.healthTerms?.[c])
+      .sort((a, b) => (day[a] ?? 0) - (day[b] ?? 0));
+    const top = causes.filter(c => (day[c] ?? 0) < 0).slice(0, 3);
+
+    const row = document.getElementById('row-health');
+    if (row) {
+      row.title = top.length
+        ? top.map(c => `${HEALTH_CAUSES[c].label}: ${HEALTH_CAUSES[c].advice(gs)}`).join('\n') + '\nClick for details'
+        : 'No stress — click for details';
+    }
+    if (this.budgetOpen !== 'health') return;
+
+    const perDay = v => `${v >= 0 ? '+' : '−'}${Math.abs(v * 10).toFixed(1)}/day`;
+    const trend  = c => {
+      const now = Math.abs(day[c] ?? 0), usual = Math.abs(month[c] ?? 0);
+      if (now > usual * 1.25) return c === 'recovery' ? ['▲', 'easing'] : ['▲', 'worsening'];
+      if (now < usual * 0.75) return c === 'recovery' ? ['▼', 'worsening'] : ['▼', 'easing'];
+      return ['▶', 'steady'];
+    };
+    const shown = top.length ? top : causes.slice(-1);
+    const net   = causes.reduce((sum, c) => sum + (day[c] ?? 0), 0);
+
+    document.getElementById('budget-health').innerHTML = `
+      <div class="health-why-title">Why is health changing?</div>
+      ${shown.map(c => {
+        const [arrow, word] = trend(c);
+        const v = day[c] ?? 0;
+        return `
+        <div class="health-cause">
+          <div class="budget-term ${v >= 0 ? 'income' : 'expense'}">
+            <span>${HEALTH_CAUSES[c].label} <span class="health-trend ${word}" title="${word}">${arrow}</span></span>
+            <span>${perDay(v)}</span>
+          </div>
+          <div class="health-advice">${HEALTH_CAUSES[c].advice(gs)}</div>
+        </div>`;
+      }).join('') || '<div class="health-advice">Nothing has affected health yet.</div>'}
+      <div class="budget-term net"><span>Net (recent average)</span><span>${perDay(net)}</span></div>`;
+  }
+
+  // ── History Charts ────────────────────────────────────────
+  _buildHistoryPanel() {
+    const canvas = document.getElementById('history-chart');
+    if (!canvas) return;
+    this.chart        = new HistoryChart(canvas);
+    this.chartMetrics = new Set(['energy', 'water', 'health']);
+    this.chartZoom    = 'season';
+
+    const zooms = document.getElementById('chart-zooms');
+    CHART_ZOOMS.forEach(z => {
+      const btn = document.createElement('button');
+      btn.textContent = z.label;
+      btn.dataset.zoom = z.id;
+      btn.classList.toggle('active', z.id === this.chartZoom);
+      btn.addEventListener('click', () => this._setChartZoom(z.id));
+      zooms.appendChild(btn);
+    });
+
+    // Scroll over the chart to zoom between levels
+    canvas.addEventListener('wheel', e => {
+      e.preventDefault();
+      const i    = CHART_ZOOMS.findIndex(z => z.id === this.chartZoom);
+      const next = CHART_ZOOMS[Math.max(0, Math.min(CHART_ZOOMS.length - 1, i + Math.sign(e.deltaY)))];
+      this._setChartZoom(next.id);
+    }, { passive: false });
+
+    const chips = document.getElementById('chart-metrics');
+    HISTORY_METRICS.forEach(m => {
+      const chip = document.createElement('button');
+      chip.className   = 'chart-metric';
+      chip.textContent = m.label;
+      chip.style.setProperty('--metric-col', m.col);
+      chip.classList.toggle('on', this.chartMetrics.has(m.key));
+      chip.addEventListener('click', () => {
+        if (this.chartMetrics.has(m.key)) this.chartMetrics.delete(m.key);
+        else this.chartMetrics.add(m.key);
+        chip.classList.toggle('on', this.chartMetrics.has(m.key));
+        this.updateHistoryChart(this.game.history);
+      });
+      chips.appendChild(chip);
+    });
+  }
+
+  _setChartZoom(id) {
+    this.chartZoom = id;
+    document.querySelectorAll('#chart-zooms button').forEach(b => {
+      b.classList.toggle('active', b.dataset.zoom === id);
+    });
+    this.updateHistoryChart(this.game.history);
+  }
+
+  updateHistoryChart(history) {
+    if (this.chart && history) this.chart.render(history, this.chartMetrics, this.chartZoom);
   }
 
   // ── Stat Grid ─────────────────────────────────────────────
@@ -161,18 +605,9 @@ export class UI {
       { id: 'stat-sun',      label: 'Sunlight'     },
       { id: 'stat-rain',     label: 'Rainfall'     },
       { id: 'stat-temp',     label: 'Temperature'  },
-      { id: 'stat-stomata', label: 'Stomata'      },
-      { id: 'stat-xylem',   label: 'Xylem'        },
-      { id: 'stat-tempeff', label: 'Temp Eff.'    },
       { id: 'stat-day',      label: 'Day'          },
-      { id: 'stat-dormancy', label: 'Dormancy'     },
-      { id: 'stat-flowers', label: 'Flowers'  },
-      { id: 'stat-seeds',   label: 'Seeds'    },
-      { id: 'stat-rings',   label: 'Growth Rings' },
-      { id: 'stat-phloem',  label: 'Phloem Flow'  },
-      { id: 'stat-myco',    label: 'Mycorrhizae'  },
-      { id: 'stat-herbivore',   label: 'Herbivores'    },
-      { id: 'stat-weather',     label: 'Weather Event' },
+      // then each biology system's own cells, in tick order
+      ...SYSTEMS.flatMap(sys => sys.stats ?? []),
     ];
     stats.forEach(s => {
       const div = document.createElement('div');
@@ -203,33 +638,9 @@ export class UI {
     set('stat-sun',      `${Math.round(gs.env.sunlight * 100)}%`);
     set('stat-rain',     `${Math.round(gs.env.rainfall * 100)}%`);
     set('stat-temp',     `${Math.round(gs.env.temperature)}°C`);
-    set('stat-stomata', Math.round(gs.stomata * 100) + '%');
-    set('stat-xylem',   Math.round(gs.xylemIntegrity * 100) + '%');
-    const tempOpt = gs.seed.tempOptimum ?? 22;
-    const delta = gs.env.temperature - tempOpt;
-    const tempEff = Math.max(0, Math.exp(-(delta * delta) / (2 * 8 * 8)));
-    set('stat-tempeff', `${Math.round(tempEff * 100)}%`);
     set('stat-day',      gs.day);
 
-    set('stat-dormancy', gs.dormant
-      ? '❄️ ' + Math.round(gs.dormancyDepth * 100) + '%'
-      : (gs.dormancyDepth > 0.05 ? 'Waking…' : '—'));
-    set('stat-flowers', gs.flowering ? '🌸 Open' : (gs.plant.flowerProgress > 0 ? Math.round(gs.plant.flowerProgress) + '%' : '—'));
-    set('stat-seeds',   gs.plant.seedsProduced || '—');
-
-    const rings = gs.plant.growthRings ?? 0;
-    set('stat-rings',  rings > 0 ? rings : '—');
-    const phloemFlow = Math.min(1, gs.plant.leafMass / 40);
-    set('stat-phloem', Math.round(phloemFlow * 100) + '%');
-    set('stat-myco', gs.mycorrhizalColonisation > 0
-      ? '🍄 ' + Math.round(gs.mycorrhizalColonisation * 100) + '%'
-      : '—');
-    set('stat-herbivore', gs.herbivoreEvent
-      ? '🐛 ' + Math.round(gs.herbivorePressure * 100) + '%'
-      : '—');
-    set('stat-weather', gs.activeWeatherEvent
-      ? '⚠️ ' + gs.activeWeatherEvent + ' (' + Math.round(gs.weatherEventTimer / 10) + 'd)'
-      : '—');
+    SYSTEMS.forEach(sys => sys.stats?.forEach(stat => set(stat.id, stat.value(gs))));
 
     const timeEl = document.getElementById('time-display');
     if (timeEl) timeEl.textContent = `Day ${gs.day} · ${SEASONS[gs.season]}`;
@@ -265,7 +676,7 @@ export class UI {
 
   _toggleAction(actionId) {
     const gs = this.game.gs;
-    if (!gs) return;
+    if (!gs || this.game.replay) return;
 
     // Check unlock
     const unlockMap = { trunk: 'trunk', branches: 'branches', leaves: 'leaves' };
@@ -279,13 +690,12 @@ export class UI {
       return;
     }
 
-    gs.activeAction = (gs.activeAction === actionId) ? null : actionId;
+    const next = (gs.activeAction === actionId) ? null : actionId;
+    this.game.sendInput(INPUT.ACTION, next);
 
     // Show root panel only when 'roots' active
     const rootPanel = document.getElementById('root-panel');
-    rootPanel.style.display = gs.activeAction === 'roots' ? 'block' : 'none';
-
-    this.updateActionButtons(gs);
+    rootPanel.style.display = next === 'roots' ? 'block' : 'none';
   }
 
   updateActionButtons(gs) {
@@ -313,6 +723,25 @@ export class UI {
         costEl.textContent = '📍 Choose a spot on the plant…';
       }
     });
+
+    const undo = document.getElementById('btn-undo');
+    const redo = document.getElementById('btn-redo');
+    if (undo) undo.disabled = !canUndoPlacement(gs);
+    if (redo) redo.disabled = !canRedoPlacement(gs);
+  }
+
+  _bindUndoControls() {
+    document.getElementById('btn-undo')?.addEventListener('click', () => this.game.undoLastPlacement());
+    document.getElementById('btn-redo')?.addEventListener('click', () => this.game.redoLastPlacement());
+
+    document.addEventListener('keydown', e => {
+      if (!(e.ctrlKey || e.metaKey) || e.target.closest?.('input, textarea')) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey)                  this.game.undoLastPlacement();
+      else if ((key === 'z' && e.shiftKey) || key === 'y') this.game.redoLastPlacement();
+      else return;
+      e.preventDefault();
+    });
   }
 
   // ── Root Options ──────────────────────────────────────────
@@ -323,30 +752,108 @@ export class UI {
       const btn = document.createElement('button');
       btn.className = 'root-btn';
       btn.id        = `root-${rt.id}`;
-      btn.innerHTML = `<strong>${rt.icon} ${rt.name}</strong><span>${rt.desc}</span>`;
+      const layers = (ROOT_UPTAKE[rt.pattern]?.layers ?? []).map(id => `${SOIL_LAYERS[id].icon} ${SOIL_LAYERS[id].name}`);
+      btn.innerHTML = `<strong></strong><span></span>
+        <span class="root-layers">Draws from: ${layers.join(', ')}</span>`;
+      btn.querySelector('strong').textContent = `${rt.icon} ${rt.name}`;
+      btn.querySelector('span').textContent   = rt.desc;
       btn.addEventListener('click', () => this._selectRootType(rt.id));
       container.appendChild(btn);
     });
   }
 
+  // Moisture of each soil layer, as a share of what it can hold, and how
+  // close the water table is (✓ once the tap root reaches it)
+  updateSoilMoisture(gs) {
+    const container = document.getElementById('soil-moisture');
+    if (!container) return;
+    const holding = soilTexture(gs.biome).waterHolding;
+    const depth   = gs.env.groundwaterDepth;
+    const rows = [
+      ...['topsoil', 'subsoil'].map(id => {
+        const share = gs.soilWater[id] / (SOIL_LAYERS[id].capacity * holding);
+        return { layer: SOIL_LAYERS[id], share, text: `${Math.round(share * 100)}%` };
+      }),
+      { layer: SOIL_LAYERS.groundwater, share: 1 - (depth - 1) / 5,
+        text: `${GROUNDWATER_DEPTHS[Math.round(depth)] ?? 'very deep'}${taprootReach(gs) > 0 ? ' ✓' : ''}` },
+    ];
+    container.innerHTML = rows.map(({ layer, share, text }) => `
+      <div class="soil-layer-row">
+        <span class="soil-layer-label">${layer.icon} ${layer.name}</span>
+        <div class="stat-bar-wrap">
+          <div class="stat-bar" style="width:${Math.round(Math.min(1, Math.max(0, share)) * 100)}%;background:var(--water-col)"></div>
+        </div>
+        <span class="soil-layer-value">${text}</span>
+      </div>
+    `).join('');
+  }
+
   _selectRootType(id) {
-    if (!this.game.gs) return;
-    this.game.gs.rootType = id;
+    const gs = this.game.gs;
+    if (!gs) return;
+    if (gs.rootType !== id) {
+      if (this.game.replay) return;
+      this.game.sendInput(INPUT.ROOT_TYPE, id);
+    }
     document.querySelectorAll('.root-btn').forEach(b => b.classList.remove('selected-root'));
     document.getElementById(`root-${id}`)?.classList.add('selected-root');
   }
 
+  // ── Forecast ──────────────────────────────────────────────
+  // rows from forecast(), or null while the game is running
+  updateForecast(rows) {
+    const container = document.getElementById('forecast-table');
+    if (!container) return;
+    if (!rows) {
+      container.innerHTML = '<div class="forecast-hint">Pause to compare growth choices.</div>';
+      return;
+    }
+
+    const names = { roots: 'Roots', trunk: 'Trunk', branches: 'Branches', leaves: 'Leaves' };
+    const label = r => r.action === 'roots' ? `${ROOT_TYPES[r.rootType].icon} ${ROOT_TYPES[r.rootType].name}`
+                     : r.action ? names[r.action] : 'Rest';
+    const cell  = v => `<td class="${v < 15 ? 'low' : ''}">${Math.round(v)}</td>`;
+    const unlocks = r => Object.entries(r.unlocks)
+      .filter(([, day]) => day !== null)
+      .map(([part, day]) => `${part} d${day}`).join(', ') || '—';
+
+    container.innerHTML = `
+      <table>
+        <thead>
+          <tr><th></th>${FORECAST_DAYS.map(d => `<th colspan="3">${d} days</th>`).join('')}<th></th></tr>
+          <tr><th>Choice</th>${FORECAST_DAYS.map(() => '<th>☀️</th><th>💧</th><th>❤️</th>').join('')}<th>Unlocks</th></tr>
+        </thead>
+        <tbody>
+          ${rows.map(r => `
+          <tr class="${r.current ? 'current' : ''}">
+            <td class="forecast-choice"></td>
+            ${FORECAST_DAYS.map(d => cell(r.at[d].energy) + cell(r.at[d].water) + cell(r.at[d].health)).join('')}
+            <td class="forecast-unlocks">${unlocks(r)}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>`;
+    // Root type names can come from packs
+    container.querySelectorAll('.forecast-choice').forEach((td, i) => { td.textContent = label(rows[i]); });
+  }
+
   // ── Log ───────────────────────────────────────────────────
   updateLog(gs) {
     const container = document.getElementById('log-entries');
     if (!container) return;
     container.innerHTML = '';
-    gs.log.slice(0, 12).forEach(entry => {
-      const div = document.createElement('div');
-      div.className = `log-entry log-${entry.type}`;
-      div.innerHTML = `<span class="log-day">Day ${entry.day}</span>${entry.msg}`;
-      container.appendChild(div);
-    });
+    gs.journal.slice(-12).reverse().forEach(entry => container.appendChild(this._logEntry(entry)));
+  }
+
+  // One log line; the message is plain text (it may quote pack names or come
+  // from an imported file)
+  _logEntry(entry) {
+    const div = document.createElement('div');
+    div.className = `log-entry log-${entry.type}`;
+    const day = document.createElement('span');
+    day.className   = 'log-day';
+    day.textContent = `Day ${entry.day}`;
+    div.append(day, entry.msg);
+    return div;
   }
 
   // ── Speed Controls ────────────────────────────────────────
@@ -356,28 +863,232 @@ export class UI {
       'btn-slow':    1,
       'btn-normal':  2,
       'btn-fast':    5,
+      'btn-faster':  20,
+      'btn-fastest': 100,
     };
     Object.entries(map).forEach(([id, speed]) => {
       document.getElementById(id)?.addEventListener('click', () => {
         this.game.setSpeed(speed);
       });
     });
+    document.querySelectorAll('.btn-skip').forEach(btn => {
+      btn.addEventListener('click', () => this.game.skipAhead(btn.dataset.skip));
+    });
+    document.getElementById('btn-save')?.addEventListener('click', () => {
+      this.game.saveCurrentGame();
+    });
+    document.getElementById('btn-export')?.addEventListener('click', () => {
+      this.game.exportCurrentGame();
+    });
+    document.getElementById('btn-replay')?.addEventListener('click', () => {
+      this.game.exportCurrentReplay();
+    });
     document.getElementById('btn-restart')?.addEventListener('click', () => {
       this.game.restart();
     });
+
+    const autopilot = document.getElementById('autopilot-select');
+    if (autopilot) {
+      autopilot.innerHTML = '<option value="">🤖 Autopilot off</option>' + Object.entries(PERSONALITIES)
+        .map(([id, p]) => `<option value="${id}" title="${p.desc}">🤖 ${p.name}</option>`).join('');
+      autopilot.addEventListener('change', () => this.game.setAutopilot(autopilot.value || null));
+    }
+  }
+
+  // skip — the fast-forward in progress, or null; reason — why the last one stopped
+  updateSkip(skip, gs, reason = null) {
+    const targets = { season: 'the next season', event: 'the next event', unlock: 'the next unlock' };
+    document.querySelectorAll('.btn-skip').forEach(btn => {
+      btn.disabled = !!skip;
+      btn.classList.toggle('active', btn.dataset.skip === skip?.target);
+    });
+    const el = document.getElementById('skip-status');
+    if (!el) return;
+    el.textContent = skip   ? `⏩ Skipping to ${targets[skip.target]}… day ${gs.day}`
+                   : reason ? `Stopped on day ${gs.day}: ${reason}`
+                   : '';
+  }
+
+  setAutopilotActive(id) {
+    const select = document.getElementById('autopilot-select');
+    if (select) select.value = id ?? '';
   }
 
   setSpeedActive(speed) {
-    const map = { '-1': 'btn-pause', 1: 'btn-slow', 2: 'btn-normal', 5: 'btn-fast' };
+    const map = { '-1': 'btn-pause', 1: 'btn-slow', 2: 'btn-normal', 5: 'btn-fast', 20: 'btn-faster', 100: 'btn-fastest' };
     document.querySelectorAll('.btn-speed').forEach(b => b.classList.remove('active'));
     const id = map[speed];
     if (id) document.getElementById(id)?.classList.add('active');
   }
 
+  // ── Growth Journal ────────────────────────────────────────
+  _buildJournal() {
+    this._journalPage = 0;
+    const fill = (id, options) => {
+      const select = document.getElementById(id);
+      if (!select) return;
+      select.innerHTML = options.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+      select.addEventListener('change', () => this._renderJournal(0));
+    };
+    fill('journal-type', [['*', 'All types'], ['good', 'Good'], ['warn', 'Warning'], ['danger', 'Danger'], ['', 'Info']]);
+    fill('journal-subsystem', [['*', 'All subsystems'],
+      ...JOURNAL_SUBSYSTEMS.map(s => [s, s[0].toUpperCase() + s.slice(1)])]);
+    fill('journal-season', [['*', 'All seasons'], ...SEASONS.map((name, i) => [i, name])]);
+    fill('journal-year', [['*', 'All years']]);   // refilled on open as the run ages
+
+    document.getElementById('journal-search')?.addEventListener('input', () => this._renderJournal(0));
+    document.getElementById('btn-journal')?.addEventListener('click', () => this.openJournal());
+    document.getElementById('btn-journal-close')?.addEventListener('click', () => this.closeJournal());
+    document.getElementById('journal-overlay')?.addEventListener('click', e => {
+      if (e.target.id === 'journal-overlay') this.closeJournal();
+    });
+    document.getElementById('btn-journal-prev')?.addEventListener('click', () => this._renderJournal(this._journalPage - 1));
+    document.getElementById('btn-journal-next')?.addEventListener('click', () => this._renderJournal(this._journalPage + 1));
+  }
+
+  openJournal() {
+    const gs = this.game.gs;
+    if (!gs) return;
+    const year   = document.getElementById('journal-year');
+    const chosen = year.value;
+    const years  = yearOfDay(gs.day);
+    year.innerHTML = '<option value="*">All years</option>' +
+      Array.from({ length: years }, (_, i) => `<option value="${i + 1}">Year ${i + 1}</option>`).join('');
+    year.value = chosen <= years ? chosen : '*';
+
+    document.getElementById('journal-overlay').style.display = 'flex';
+    this._renderJournal(0);
+  }
+
+  closeJournal() {
+    document.getElementById('journal-overlay').style.display = 'none';
+  }
+
+  _renderJournal(page) {
+    const gs        = this.game.gs;
+    const container = document.getElementById('journal-entries');
+    if (!gs || !container) return;
+
+    const pick   = id => document.getElementById(id).value;
+    const number = v => v === '*' ? null : Number(v);
+    const result = queryJournal(gs.journal, {
+      type:      pick('journal-type') === '*' ? null : pick('journal-type'),
+      subsystem: pick('journal-subsystem') === '*' ? null : pick('journal-subsystem'),
+      season:    number(pick('journal-season')),
+      year:      number(pick('journal-year')),
+      text:      pick('journal-search'),
+      page,
+    });
+    this._journalPage = result.page;
+
+    container.innerHTML = '';
+    if (!result.total) container.innerHTML = '<div class="journal-empty">No entries match these filters.</div>';
+    result.entries.forEach(entry => {
+      const div = this._logEntry(entry);
+      const day = div.querySelector('.log-day');
+      day.title = 'Show the plant on this day';
+      day.addEventListener('click', () => {
+        this.closeJournal();
+        this.game.jumpToDay(entry.day);
+      });
+      container.appendChild(div);
+    });
+    container.scrollTop = 0;
+
+    document.getElementById('journal-page').textContent =
+      `${result.total} entries · page ${result.page + 1} of ${result.pages}`;
+    document.getElementById('btn-journal-prev').disabled = result.page === 0;
+    document.getElementById('btn-journal-next').disabled = result.page >= result.pages - 1;
+  }
+
+  // ── Notifications ─────────────────────────────────────────
+  // Short-lived toasts over the canvas for events flagged `notify`
+  notify(event, gs) {
+    this._toast(describeEvent(event, gs), event.level);
+  }
+
+  // The simulation stopped working, e.g. an error in its worker
+  notifyError(message) {
+    this._toast(`Simulation error: ${message}`, 'danger');
+  }
+
+  _toast(text, level) {
+    const container = document.getElementById('notifications');
+    if (!container) return;
+    const el = document.createElement('div');
+    el.className   = `notification ${level}`;
+    el.textContent = text;
+    container.appendChild(el);
+    while (container.children.length > 3) container.firstChild.remove();
+    setTimeout(() => el.remove(), 4000);
+  }
+
+  // ── Timeline Scrubber ─────────────────────────────────────
+  _bindTimeline() {
+    const range = document.getElementById('timeline-range');
+    range?.addEventListener('input', () => {
+      this.game.previewTimeline(Number(range.value));
+    });
+    document.getElementById('btn-rewind')?.addEventListener('click', () => {
+      this.game.rewindToPreview();
+    });
+  }
+
+  // `timeline` is { days, size } as reported by the simulation host; `preview`
+  // is the earlier state being looked at, or null when showing the live game
+  updateTimeline(timeline, gs, preview = null) {
+    const range = document.getElementById('timeline-range');
+    const label = document.getElementById('timeline-label');
+    if (!range || !label) return;
+
+    const days = timeline.days;
+    range.max      = Math.max(0, days.length);   // one past the last snapshot = live
+    range.value    = preview ? days.findLastIndex(d => d <= preview.day) : days.length;
+    range.disabled = days.length === 0;
+
+    document.getElementById('timeline-bar')?.classList.toggle('previewing', !!preview);
+    document.getElementById('btn-rewind').disabled = !preview;
+
+    if (preview) {
+      label.textContent = `Day ${preview.day} · ${SEASONS[preview.season]} (preview)`;
+    } else {
+      label.textContent = `Day ${gs.day} · now`;
+    }
+    label.title = `${days.length} snapshots kept · ~${Math.round(timeline.size / 1024)} KB`;
+  }
+
   // ── Biome label ───────────────────────────────────────────
   updateBiomeLabel(gs) {
     const el = document.getElementById('biome-label');
-    if (el) el.textContent = `${gs.biome.icon} ${gs.biome.name} · ${gs.seed.name}`;
+    if (el) {
+      el.textContent = `${gs.biome.icon} ${gs.biome.name} · ${gs.seed.name} · 🎲 ${gs.rng.seed}`;
+      el.title       = 'World seed — enter it on the start screen to replay this world';
+    }
+  }
+
+  // ── Soil map ──────────────────────────────────────────────
+  _bindSoilMap() {
+    const select = document.getElementById('soil-map-select');
+    if (!select) return;
+    select.innerHTML = Object.entries(SOIL_MAP_OPTIONS)
+      .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+    select.addEventListener('change', () => this.game.setSoilMap(select.value || null));
+  }
+
+  // The map only exists while the Soil Patches system is on
+  updateSoilMapAvailable(gs) {
+    const select = document.getElementById('soil-map-select');
+    if (!select) return;
+    select.style.display = gs.settings.soilPatches ? '' : 'none';
+    if (!gs.settings.soilPatches) select.value = '';
+  }
+
+  // Shown while a replay is playing back; null hides it
+  updateReplayBadge(player) {
+    const el = document.getElementById('replay-badge');
+    if (!el) return;
+    el.style.display = player ? 'block' : 'none';
+    if (player) el.textContent = `▶ Replay · ${Math.round(player.progress * 100)}%`;
   }
 
   // ── Biology Settings Panel ────────────────────────────────
@@ -393,57 +1104,40 @@ export class UI {
       });
     }
 
-    document.getElementById('preset-full')?.addEventListener('click', () => {
-      this._applyPreset('full');
-    });
-    document.getElementById('preset-easy')?.addEventListener('click', () => {
-      this._applyPreset('easy');
+    Object.keys(SETTINGS_PRESETS).forEach(name => {
+      document.getElementById(`preset-${name}`)?.addEventListener('click', () => {
+        this._applyPreset(name);
+      });
     });
 
     const container = document.getElementById('settings-toggles');
     if (!container) return;
     container.innerHTML = '';
 
-    SETTINGS_META.forEach(meta => {
+    SYSTEMS.forEach(sys => {
       const row = document.createElement('div');
       row.className = 'setting-row';
       row.innerHTML = `
         <label class="setting-toggle">
-          <input type="checkbox" id="setting-${meta.key}" ${this.settings[meta.key] ? 'checked' : ''}>
+          <input type="checkbox" id="setting-${sys.setting}" ${this.settings[sys.setting] ? 'checked' : ''}>
           <span class="toggle-slider"></span>
         </label>
         <div class="setting-info">
-          <div class="setting-label">${meta.label}</div>
-          <div class="setting-desc">${meta.desc}</div>
+          <div class="setting-label">${sys.label}</div>
+          <div class="setting-desc">${sys.desc}</div>
         </div>
       `;
       container.appendChild(row);
 
       row.querySelector('input').addEventListener('change', (e) => {
-        this.settings[meta.key] = e.target.checked;
+        this.settings[sys.setting] = e.target.checked;
         document.querySelectorAll('.preset-btn').forEach(b => b.classList.remove('active'));
       });
     });
   }
 
   _applyPreset(name) {
-    const presets = {
-      full: { ...DEFAULT_SETTINGS },
-      easy: {
-        stomatalRegulation: false,
-        npkNutrients:       false,
-        hydraulicFailure:   false,
-        tempOptima:         false,
-        flowering:          true,
-        lifeCycles:         false,
-        cambiumGrowth:      false,
-        mycorrhizae:        false,
-        herbivory:          false,
-        weatherEvents:      false,
-      },
-    };
-
-    const preset = presets[name];
+    const preset = SETTINGS_PRESETS[name];
     if (!preset) return;
 
     this.settings = { ...preset };
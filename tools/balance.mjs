@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+// ============================================================
+// balance.mjs — Monte Carlo balance report, every biome × seed
+// ============================================================
+//
+//   node tools/balance.mjs --runs 200 --days 360 --out balance.md
+//   node tools/balance.mjs --strategies balanced --format html --out balance.html
+//
+// Runs --runs seeded games for every seed in each biome's `seeds` list
+// under each reference strategy, then writes a self-contained Markdown or
+// HTML table. Combinations more than --z standard deviations from their
+// strategy's mean on any metric are flagged, so SEEDS/BIOMES tuning can
+// start from the outliers.
+
+import { writeFileSync } from 'node:fs';
+import { BIOMES, SEEDS } from '../js/data.js';
+import { runGame } from '../js/headless.js';
+import { parseSeed } from '../js/rng.js';
+import { parseOptions, loadStrategy, parseSettings, loadPacks, fail } from './cli.mjs';
+
+const USAGE = `Usage: node tools/balance.mjs [options]
+
+  --runs <n>          games per biome × seed × strategy (default 100)
+  --days <n>          game days per run (default 360)
+  --strategies <a,b>  reference strategies (default balanced,roots-first,idle)
+  --biomes <a,b>      limit to these biomes (default: all)
+  --settings <spec>   preset and/or overrides, e.g. easy or full,herbivory=false
+  --rng-seed <s>      base world seed; run i uses base + i (default 1)
+  --z <n>             outlier threshold in standard deviations (default 2)
+  --format <md|html>  report format (default: from --out extension, else md)
+  --out <file>        write the report here instead of stdout
+  --pack <file>       apply a content pack first; repeatable
+`;
+
+// Metrics shown in the report; `better` says which direction is good so
+// flags can read ▲ (suspiciously strong) or ▼ (suspiciously weak).
+const METRICS = [
+  { key: 'survival',    label: 'Survival',        better:  1, fmt: v => `${Math.round(v * 100)}%` },
+  { key: 'trunkDay',    label: 'Trunk day',       better: -1, fmt: _fmtDay },
+  { key: 'branchDay',   label: 'Branch day',      better: -1, fmt: _fmtDay },
+  { key: 'leafDay',     label: 'Leaf day',        better: -1, fmt: _fmtDay },
+  { key: 'seeds',       label: 'Seeds',           better:  1, fmt: v => v.toFixed(1) },
+  { key: 'cavitation',  label: 'Cavitation',      better: -1, fmt: v => v.toFixed(1) },
+  { key: 'finalHealth', label: 'Final health',    better:  1, fmt: v => v.toFixed(0) },
+];
+
+const args = parseOptions({
+  runs:       { type: 'string', default: '100' },
+  days:       { type: 'string', default: '360' },
+  strategies: { type: 'string', default: 'balanced,roots-first,idle' },
+  biomes:     { type: 'string' },
+  settings:   { type: 'string', default: 'full' },
+  'rng-seed': { type: 'string', default: '1' },
+  z:          { type: 'string', default: '2' },
+  format:     { type: 'string' },
+  out:        { type: 'string' },
+  pack:       { type: 'string', multiple: true },
+  help:       { type: 'boolean', short: 'h' },
+}, USAGE);
+
+if (args.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+loadPacks(args.pack);
+
+try {
+  const runs     = _positiveInt(args.runs, '--runs');
+  const days     = _positiveInt(args.days, '--days');
+  const zLimit   = Number(args.z);
+  const baseSeed = parseSeed(args['rng-seed']) ?? 1;
+  const settings = parseSettings(args.settings);
+  const format   = args.format ?? (args.out?.endsWith('.html') ? 'html' : 'md');
+  if (!['md', 'html'].includes(format)) fail('--format must be md or html');
+
+  const biomeIds = args.biomes ? args.biomes.split(',') : Object.keys(BIOMES);
+  biomeIds.forEach(id => { if (!BIOMES[id]) fail(`unknown biome "${id}"`); });
+
+  const strategies = [];
+  for (const name of args.strategies.split(',')) strategies.push(await loadStrategy(name.trim()));
+
+  const rows = [];
+  const started = Date.now();
+  for (const strategy of strategies) {
+    for (const biomeId of biomeIds) {
+      for (const seedId of BIOMES[biomeId].seeds) {
+        if (!SEEDS[seedId]) continue;
+        if (process.stderr.isTTY) {
+          process.stderr.write(`\r${strategy.name.padEnd(12)} ${biomeId.padEnd(9)} ${seedId.padEnd(11)}`);
+        }
+        const summaries = [];
+        for (let i = 0; i < runs; i++) {
+          summaries.push(runGame({
+            biome: biomeId, seed: seedId, days, settings, strategy,
+            rngSeed: (baseSeed + i) >>> 0,
+            recordSeries: false,
+          }).summary);
+        }
+        rows.push({ strategy: strategy.name, biome: biomeId, seed: seedId, ...aggregate(summaries) });
+      }
+    }
+  }
+  process.stderr.write(`${process.stderr.isTTY ? '\r' : ''}Done: ${rows.length} combinations × ${runs} runs in ${((Date.now() - started) / 1000).toFixed(1)}s\n`);
+
+  flagOutliers(rows, zLimit);
+  const meta = { runs, days, baseSeed, settings: args.settings, zLimit, generated: new Date().toISOString() };
+  const report = format === 'html' ? renderHTML(rows, meta) : renderMarkdown(rows, meta);
+
+  if (args.out) writeFileSync(args.out, report);
+  else process.stdout.write(report);
+} catch (err) {
+  fail(err.message);
+}
+
+// ── Aggregation ───────────────────────────────────────────
+function aggregate(summaries) {
+  const n    = summaries.length;
+  const mean = pick => summaries.reduce((a, s) => a + pick(s), 0) / n;
+  // Unlock days average only over runs that reached the unlock; `reached`
+  // keeps the fraction so "never" isn't confused with "fast".
+  const unlock = key => {
+    const hit = summaries.filter(s => s[key] !== null);
+    return {
+      value:   hit.length ? hit.reduce((a, s) => a + s[key], 0) / hit.length : null,
+      reached: hit.length / n,
+    };
+  };
+  const trunk  = unlock('trunkUnlockDay');
+  const branch = unlock('branchUnlockDay');
+  const leaf   = unlock('leafUnlockDay');
+
+  return {
+    survival:    mean(s => (s.survived ? 1 : 0)),
+    trunkDay:    trunk.value,  trunkReached:  trunk.reached,
+    branchDay:   branch.value, branchReached: branch.reached,
+    leafDay:     leaf.value,   leafReached:   leaf.reached,
+    seeds:       mean(s => s.seedsProduced),
+    cavitation:  mean(s => s.cavitationEvents),
+    finalHealth: mean(s => s.finalHealth),
+    flags:       [],
+  };
+}
+
+// z-score each metric within its strategy (strategies differ by design)
+function flagOutliers(rows, zLimit) {
+  const byStrategy = _groupByStrategy(rows);
+  for (const group of byStrategy.values()) {
+    for (const m of METRICS) {
+      const vals = group.map(r => r[m.key]).filter(v => v !== null);
+      if (vals.length < 3) continue;
+      const mu = vals.reduce((a, v) => a + v, 0) / vals.length;
+      const sd = Math.sqrt(vals.reduce((a, v) => a + (v - mu) ** 2, 0) / vals.length);
+      if (sd === 0) continue;
+      group.forEach(r => {
+        if (r[m.key] === null) return;
+        const z = (r[m.key] - mu) / sd;
+        if (Math.abs(z) >= zLimit) {
+          r.flags.push({ metric: m.key, z, strong: Math.sign(z) === m.better });
+        }
+      });
+    }
+  }
+}
+
+// ── Rendering ─────────────────────────────────────────────
+function _cell(row, m) {
+  let text = row[m.key] === null ? 'never' : m.fmt(row[m.key]);
+  const reached = row[`${m.key.replace('Day', '')}Reached`];
+  if (reached !== undefined && reached < 1 && row[m.key] !== null) text += ` (${Math.round(reached * 100)}%)`;
+  const flag = row.flags.find(f => f.metric === m.key);
+  return { text, flag };
+}
+
+function _describeFlags(row) {
+  return row.flags
+    .map(f => `${f.strong ? '▲' : '▼'} ${METRICS.find(m => m.key === f.metric).label} (z=${f.z.toFixed(1)})`)
+    .join(', ');
+}
+
+function renderMarkdown(rows, meta) {
+  const out = [];
+  out.push('# Plant Life balance report', '');
+  out.push(`${meta.runs} runs × ${meta.days} days per combination · settings \`${meta.settings}\` · ` +
+           `world seeds ${meta.baseSeed}…${meta.baseSeed + meta.runs - 1} · outliers at |z| ≥ ${meta.zLimit} · ${meta.generated}`, '');
+  out.push('Unlock days are averaged over runs that reached the unlock; the share that did is shown in brackets when below 100%.', '');
+
+  const flagged = rows.filter(r => r.flags.length);
+  out.push('## Outliers', '');
+  if (!flagged.length) out.push('None.', '');
+  else {
+    flagged.forEach(r => out.push(`- **${r.biome} × ${r.seed}** (${r.strategy}): ${_describeFlags(r)}`));
+    out.push('');
+  }
+
+  for (const [strategy, group] of _groupByStrategy(rows)) {
+    out.push(`## Strategy: ${strategy}`, '');
+    out.push(`| Biome | Seed | ${METRICS.map(m => m.label).join(' | ')} |`);
+    out.push(`|---|---|${METRICS.map(() => '---:').join('|')}|`);
+    group.forEach(r => {
+      const cells = METRICS.map(m => {
+        const { text, flag } = _cell(r, m);
+        return flag ? `**${text} ${flag.strong ? '▲' : '▼'}**` : text;
+      });
+      out.push(`| ${r.biome} | ${r.seed} | ${cells.join(' | ')} |`);
+    });
+    out.push('');
+  }
+  return out.join('\n');
+}
+
+function renderHTML(rows, meta) {
+  const esc = s => String(s).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+  const tables = [..._groupByStrategy(rows)].map(([strategy, group]) => `
+  <h2>Strategy: ${esc(strategy)}</h2>
+  <table>
+    <thead><tr><th>Biome</th><th>Seed</th>${METRICS.map(m => `<th>${m.label}</th>`).join('')}</tr></thead>
+    <tbody>
+${group.map(r => `      <tr${r.flags.length ? ' class="flagged"' : ''} title="${esc(_describeFlags(r))}"><td>${esc(r.biome)}</td><td>${esc(r.seed)}</td>${METRICS.map(m => {
+    const { text, flag } = _cell(r, m);
+    return flag ? `<td class="${flag.strong ? 'strong' : 'weak'}">${esc(text)} ${flag.strong ? '▲' : '▼'}</td>` : `<td>${esc(text)}</td>`;
+  }).join('')}</tr>`).join('\n')}
+    </tbody>
+  </table>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Plant Life balance report</title>
+<style>
+  body  { background: #0d1117; color: #e6edf3; font-family: 'Segoe UI', system-ui, sans-serif; padding: 24px; }
+  h1    { color: #3fb950; }
+  h2    { color: #7d8590; font-size: 0.9rem; text-transform: uppercase; letter-spacing: 0.1em; margin-top: 32px; }
+  p     { color: #7d8590; font-size: 0.85rem; }
+  table { border-collapse: collapse; font-size: 0.8rem; }
+  th, td { border: 1px solid #30363d; padding: 4px 10px; text-align: right; }
+  th:nth-child(-n+2), td:nth-child(-n+2) { text-align: left; }
+  tr.flagged { background: #1c2128; }
+  td.strong { color: #3fb950; font-weight: 700; }
+  td.weak   { color: #f85149; font-weight: 700; }
+</style>
+</head>
+<body>
+  <h1>Plant Life balance report</h1>
+  <p>${meta.runs} runs × ${meta.days} days per combination · settings <code>${esc(meta.settings)}</code> ·
+     world seeds ${meta.baseSeed}…${meta.baseSeed + meta.runs - 1} · outliers at |z| ≥ ${meta.zLimit} · ${meta.generated}</p>
+  <p>Unlock days are averaged over runs that reached the unlock; the share that did is shown in brackets when below 100%.
+     ▲ marks suspiciously strong and ▼ suspiciously weak combinations relative to the same strategy.</p>
+${tables}
+</body>
+</html>
+`;
+}
+
+function _groupByStrategy(rows) {
+  const groups = new Map();
+  rows.forEach(r => {
+    if (!groups.has(r.strategy)) groups.set(r.strategy, []);
+    groups.get(r.strategy).push(r);
+  });
+  return groups;
+}
+
+function _fmtDay(v) { return v.toFixed(0); }
+
+function _positiveInt(val, name) {
+  const n = Number(val);
+  if (!Number.isInteger(n) || n < 1) fail(`${name} must be a positive integer`);
+  return n;
+}
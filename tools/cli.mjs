@@ -0,0 +1,84 @@
+// ============================================================
+// cli.mjs — Shared helpers for the Node command-line tools
+// ============================================================
+
+import { resolve, dirname, join } from 'node:path';
+import { existsSync, readFileSync } from 'node:fs';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { DEFAULT_SETTINGS, SETTINGS_PRESETS } from '../js/systems.js';
+import { createAutopilot, PERSONALITIES } from '../js/autopilot.js';
+import { loadPackJSON } from '../js/packs.js';
+
+const TOOLS_DIR = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Parse process.argv with node:util's parseArgs. An unknown or malformed
+ * option prints the problem and the tool's usage text, and exits.
+ */
+export function parseOptions(options, usage) {
+  try {
+    return parseArgs({ options }).values;
+  } catch (err) {
+    console.error(`error: ${err.message}\n\n${usage}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Resolve a strategy by built-in name (tools/strategies/<name>.mjs), as an
+ * autopilot personality (autopilot-cautious, autopilot-greedy, autopilot-seeds)
+ * or by path to any module whose default export is a strategy object.
+ */
+export async function loadStrategy(spec) {
+  const personality = spec.match(/^autopilot-(\w+)$/)?.[1];
+  if (personality) {
+    if (!PERSONALITIES[personality]) throw new Error(`Unknown autopilot personality "${personality}".`);
+    return createAutopilot(personality);
+  }
+  const builtIn = join(TOOLS_DIR, 'strategies', `${spec}.mjs`);
+  const file    = existsSync(builtIn) ? builtIn : resolve(spec);
+  if (!existsSync(file)) throw new Error(`Strategy "${spec}" not found.`);
+  const mod      = await import(pathToFileURL(file).href);
+  const strategy = mod.default ?? mod.strategy;
+  if (!strategy || typeof strategy.tick !== 'function') {
+    throw new Error(`${file} does not export a strategy with a tick() function.`);
+  }
+  strategy.name ??= spec;
+  return strategy;
+}
+
+/**
+ * Settings spec: a preset name, optionally followed by overrides —
+ * "easy", "full,herbivory=false", "weatherEvents=false".
+ */
+export function parseSettings(spec = 'full') {
+  const settings = { ...DEFAULT_SETTINGS };
+  for (const part of spec.split(',').map(s => s.trim()).filter(Boolean)) {
+    if (SETTINGS_PRESETS[part]) {
+      Object.assign(settings, SETTINGS_PRESETS[part]);
+      continue;
+    }
+    const [key, val] = part.split('=');
+    if (!(key in DEFAULT_SETTINGS)) throw new Error(`Unknown setting "${key}".`);
+    if (val !== 'true' && val !== 'false') throw new Error(`Setting "${key}" must be =true or =false.`);
+    settings[key] = val === 'true';
+  }
+  return settings;
+}
+
+/** Apply content packs (see js/packs.js) in order; exits listing every problem. */
+export function loadPacks(files = []) {
+  for (const file of files) {
+    try {
+      loadPackJSON(readFileSync(file, 'utf8'), file);
+    } catch (err) {
+      fail([`content pack ${file}:`, ...(err.errors ?? [err.message]).map(e => `  ${e}`)].join('\n'));
+    }
+  }
+}
+
+export function fail(msg) {
+  console.error(`error: ${msg}`);
+  process.exit(1);
+}
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+// ============================================================
+// simulate.mjs — Run one game headless under a scripted strategy
+// ============================================================
+//
+//   node tools/simulate.mjs --biome plains --seed oak --days 720 \
+//        --strategy balanced --rng-seed 42 --out oak.csv
+//
+// Writes the per-day time series to --out (.csv or .json) and prints the
+// final summary as JSON. Needs Node 20.19+ / 22.7+ (ES module detection for
+// the game's js/ files, which have no package.json of their own).
+
+import { writeFileSync } from 'node:fs';
+import { BIOMES, SEEDS } from '../js/data.js';
+import { runGame, seriesToCSV } from '../js/headless.js';
+import { parseSeed } from '../js/rng.js';
+import { parseOptions, loadStrategy, parseSettings, loadPacks, fail } from './cli.mjs';
+
+const USAGE = `Usage: node tools/simulate.mjs --biome <id> --seed <id> [options]
+
+  --biome <id>        ${Object.keys(BIOMES).join(', ')}
+  --seed <id>         ${Object.keys(SEEDS).join(', ')}
+  --days <n>          game days to simulate (default 360)
+  --strategy <name>   built-in strategy, autopilot-<personality> or path to a
+                      module (default balanced)
+  --rng-seed <s>      world seed; integer or any text (default 1)
+  --settings <spec>   preset and/or overrides, e.g. easy or full,herbivory=false
+  --out <file>        write the per-day series (.csv or .json)
+  --summary <file>    also write the summary JSON to a file
+  --pack <file>       apply a content pack first; repeatable
+`;
+
+const args = parseOptions({
+  biome:      { type: 'string' },
+  seed:       { type: 'string' },
+  days:       { type: 'string', default: '360' },
+  strategy:   { type: 'string', default: 'balanced' },
+  'rng-seed': { type: 'string', default: '1' },
+  settings:   { type: 'string', default: 'full' },
+  out:        { type: 'string' },
+  summary:    { type: 'string' },
+  pack:       { type: 'string', multiple: true },
+  help:       { type: 'boolean', short: 'h' },
+}, USAGE);
+
+if (args.help || !args.biome || !args.seed) {
+  console.log(USAGE);
+  process.exit(args.help ? 0 : 1);
+}
+
+loadPacks(args.pack);
+
+try {
+  const biome = BIOMES[args.biome];
+  const seed  = SEEDS[args.seed];
+  if (!biome) fail(`unknown biome "${args.biome}"`);
+  if (!seed)  fail(`unknown seed "${args.seed}"`);
+  if (!biome.seeds.includes(seed.id)) {
+    console.error(`warning: ${seed.id} is not offered in ${biome.id} in-game`);
+  }
+
+  const days = Number(args.days);
+  if (!Number.isInteger(days) || days < 1) fail('--days must be a positive integer');
+
+  const { series, summary } = runGame({
+    biome, seed, days,
+    settings: parseSettings(args.settings),
+    rngSeed:  parseSeed(args['rng-seed']) ?? 1,
+    strategy: await loadStrategy(args.strategy),
+  });
+
+  if (args.out) {
+    const body = args.out.endsWith('.json')
+      ? JSON.stringify({ summary, series }, null, 2)
+      : seriesToCSV(series);
+    writeFileSync(args.out, body);
+  }
+  if (args.summary) writeFileSync(args.summary, JSON.stringify(summary, null, 2));
+  console.log(JSON.stringify(summary, null, 2));
+} catch (err) {
+  fail(err.message);
+}
@@ -0,0 +1,39 @@
+// ============================================================
+// balanced.mjs — React to whichever resource is shortest
+// ============================================================
+//
+// Each day: fix the worst deficit first (water → tap roots, nutrients →
+// surface roots), otherwise grow the structure the plant can currently
+// support and place trunk nodes when there is energy to spare. Leaves,
+// rest and root limits are handled by upkeep.mjs.
+
+import { upkeep, rootsOk, fullGrown, growRoots } from './upkeep.mjs';
+
+export default {
+  name: 'balanced',
+  description: 'Fixes the worst deficit first, otherwise grows what the roots can support.',
+
+  tick(gs, api) {
+    if (!upkeep(gs)) return;
+    const p     = gs.plant;
+    const roots = rootsOk(gs);
+
+    // Structural roots anchor the trunk soonest, and with it the first leaves
+    if (!gs.unlocked.trunk) return growRoots(gs, roots && 'structural');
+    if (gs.water < 30)      return growRoots(gs, roots && 'taproot');
+    if (Math.min(gs.nitrogen, gs.phosphorus, gs.potassium) < 25) return growRoots(gs, roots && 'surface');
+
+    const grown = fullGrown(p);
+    if (!grown && gs.energy > 50 && p.nodes.length > 0) {
+      const trunkSpots = api.computePlacementCandidates(gs, 'trunk');
+      const straight   = trunkSpots.find(c => c.label.includes('Straight')) ?? trunkSpots[0];
+      if (straight) api.commitPlacement(gs, straight, 'trunk');
+    }
+
+    const anchor = p.rootStructural + p.rootDepth * 0.5 + p.rootSpread * 0.3;
+    if (anchor < p.trunkHeight * 0.8 + 8)                            growRoots(gs, roots && 'structural');
+    else if (grown)                                                   gs.activeAction = null;
+    else if (gs.unlocked.branches && p.branchLength < p.trunkHeight) gs.activeAction = 'branches';
+    else                                                              gs.activeAction = 'trunk';
+  },
+};
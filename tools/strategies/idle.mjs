@@ -0,0 +1,12 @@
+// ============================================================
+// idle.mjs — Control strategy: never grows anything
+// ============================================================
+//
+// Baseline for comparisons — shows how a seed fares on its starting
+// reserves and seed energy alone.
+
+export default {
+  name: 'idle',
+  description: 'Never sets an action. Control run.',
+  tick() {},
+};
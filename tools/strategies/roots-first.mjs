@@ -0,0 +1,29 @@
+// ============================================================
+// roots-first.mjs — Build a big root system, then go up
+// ============================================================
+//
+// Structural roots until the trunk unlocks, then alternates structural and
+// tap roots with trunk growth, keeping the roots ahead of the trunk.
+// Leaves, rest and root limits are handled by upkeep.mjs.
+
+import { upkeep, rootsOk, fullGrown, growRoots } from './upkeep.mjs';
+
+export default {
+  name: 'roots-first',
+  description: 'Structural roots to unlock the trunk, then roots/trunk in turn; grows leaves for O₂.',
+
+  tick(gs) {
+    if (!upkeep(gs)) return;
+    const p     = gs.plant;
+    const roots = rootsOk(gs);
+
+    if (!gs.unlocked.trunk) return growRoots(gs, roots && 'structural');
+
+    const anchor = p.rootStructural + p.rootDepth * 0.5 + p.rootSpread * 0.3;
+    if (anchor < p.trunkHeight * 0.8 + 8 || fullGrown(p)) {
+      growRoots(gs, roots && (gs.water < 30 ? 'taproot' : 'structural'));
+    } else {
+      gs.activeAction = 'trunk';
+    }
+  },
+};
@@ -0,0 +1,81 @@
+// ============================================================
+// upkeep.mjs — Limits the reference strategies grow within
+// ============================================================
+//
+// Not a strategy itself: balanced and roots-first call upkeep() every tick
+// and decide what to grow only when it lets them.
+//
+// Roots breathe O₂ and only leaves make it, so once there are leaves the
+// roots grow only while the leaves make comfortably more than the roots
+// take. Leaves are grown rather than placed, and kept under the seed
+// reserve's cut-off: past it the canopy has to feed the whole plant,
+// which it cannot do until it is far bigger. The structure stays small
+// for the same reason — a tall plant grows leaves too fast to stop short.
+// Short of water, energy or nutrients the plant rests: growth costs all
+// three, and it loses health once any of them runs out.
+
+export const DECIDE_EVERY = 10;   // re-think once per game day
+
+// Below these the plant rests; leaves, its only O₂, carry on a little longer
+const REST       = { water: 20, energy: 15, nutrients: 12 };
+const LEAF_REST  = { water: 12, energy: 12, nutrients: 9 };
+const LEAF_CAP   = 4.5;   // the seed reserve stops at 5 leaf mass
+const LEAF_SPEED = 1;     // most trunk and branch speed-up of leaf growth (applyGrowth's branchBase)
+const O2_MARGIN  = 2;     // leaf O₂ over root O₂ needed to grow roots
+const O2_RESERVE = 50;    // kept back for winter, when the leaves are down
+
+const leafGrowth = new WeakMap();   // game → { mass: a tick ago, step: last tick of leaf growth }
+
+/**
+ * Call at the start of every tick. Stops growth that has reached a limit
+ * on the tick it does so, and each day grows leaves while there is room
+ * for them or rests while the plant is short. Returns true when the
+ * strategy should decide what to grow today.
+ */
+export function upkeep(gs) {
+  const p = gs.plant;
+  // Stop a tick's leaf growth short of the cap, not a tick past it
+  const seen = leafGrowth.get(gs) ?? { mass: p.leafMass, step: 0 };
+  if (gs.activeAction === 'leaves' && p.leafMass > seen.mass) seen.step = p.leafMass - seen.mass;
+  seen.mass = p.leafMass;
+  leafGrowth.set(gs, seen);
+  const leafRoom = p.leafMass + seen.step < LEAF_CAP;
+
+  if (gs.activeAction === 'leaves' && !leafRoom)    gs.activeAction = null;
+  if (gs.activeAction === 'roots'  && !rootsOk(gs)) gs.activeAction = null;
+  if (_short(gs, gs.activeAction === 'leaves' ? LEAF_REST : REST)) gs.activeAction = null;
+  if (gs.tick % DECIDE_EVERY !== 0) return false;
+
+  if (gs.unlocked.leaves && leafRoom && !_short(gs, LEAF_REST)) {
+    gs.activeAction = 'leaves';
+    return false;
+  }
+  if (_short(gs, REST)) {
+    gs.activeAction = null;
+    return false;
+  }
+  return true;
+}
+
+/** Whether roots may grow: always before the first leaves, then only on spare O₂. */
+export function rootsOk(gs) {
+  if (!gs.unlocked.leaves) return true;
+  const flows = gs.flows ?? {};
+  return gs.o2 >= O2_RESERVE && (flows.o2Out ?? 0) > (flows.o2Consumed ?? 0) * O2_MARGIN;
+}
+
+/** Whether trunk and branches are as big as the leaf cap allows. */
+export function fullGrown(plant) {
+  return plant.branchLength / 15 + plant.trunkHeight / 30 >= LEAF_SPEED;
+}
+
+/** Grow roots of a type, or rest when type is false (see rootsOk). */
+export function growRoots(gs, type) {
+  gs.activeAction = type ? 'roots' : null;
+  if (type) gs.rootType = type;
+}
+
+function _short(gs, rest) {
+  return gs.water < rest.water || gs.energy < rest.energy
+      || Math.min(gs.nitrogen, gs.phosphorus, gs.potassium) < rest.nutrients;
+}